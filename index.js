@@ -2,6 +2,15 @@ import { injectUI, registerUIEventListeners, resolveV3SpecConflict } from './src
 import { ensureSettings, registerDataEventListeners, cleanAllNicknameData } from './src/nicknames.js';
 import { registerMacros } from './src/macros.js';
 import { registerSlashCommands } from './src/slash-commands.js';
+import { registerFunctionTools } from './src/function-tools.js';
+import { registerPublicApi } from './src/api.js';
+import { registerDeepSubstitution } from './src/deep-substitution.js';
+import { registerPromptNames } from './src/prompt-names.js';
+import { registerGenerateInterceptor } from './src/generate-interceptor.js';
+import { registerNicknameInjection } from './src/injection.js';
+import { registerWriteThrough } from './src/write-through.js';
+import { registerNicknameStages } from './src/stages.js';
+import { registerNicknameSuggestions } from './src/suggestions.js';
 
 export const EXTENSION_KEY = 'nicknames';
 export const EXTENSION_NAME = 'SillyTavern-Nicknames';
@@ -27,7 +36,16 @@ export async function init() {
     registerUIEventListeners();
 
     registerMacros();
+    registerDeepSubstitution();
+    registerPromptNames();
+    registerNicknameInjection();
+    registerWriteThrough();
+    registerNicknameStages();
+    registerNicknameSuggestions();
+    registerGenerateInterceptor();
     registerSlashCommands();
+    registerFunctionTools();
+    registerPublicApi();
 
     console.debug(`[${EXTENSION_NAME}] Extension activated`);
 
@@ -38,7 +56,8 @@ export async function init() {
  * Extension clean hook — called when the extension is uninstalled.
  * Removes all nickname data from extension settings.
  * Note: nickname data stored in individual chat files (chat-level mappings)
- * cannot be automatically cleaned without loading and re-saving every chat.
+ * is not cleaned here, as that requires loading and re-saving every chat.
+ * The chat maintenance tool in the settings panel handles that instead.
  */
 export async function clean() {
     console.debug(`[${EXTENSION_NAME}] Running clean hook...`);
@@ -0,0 +1,171 @@
+/**
+ * Public nickname API for other extensions.
+ * Available as `globalThis.SillyTavernNicknames` once the extension is loaded.
+ * Everything else in this extension is internal and may change without notice.
+ */
+
+import { user_avatar } from '../../../../../script.js';
+import { getContext } from '/scripts/st-context.js';
+import {
+    ContextLevel,
+    NicknameSlot,
+    NicknameEvent,
+    ChangeReason,
+    handleNickname,
+    formatNicknamePool,
+    getCharName,
+    getPersonaName,
+    listNicknames,
+    resolveNicknameWaterfall,
+} from './nicknames.js';
+import { refreshAllUI } from './ui.js';
+
+/** Version of the public API - increased on breaking changes only */
+export const API_VERSION = 1;
+
+/** Name of the global the API is exposed as */
+export const API_GLOBAL_NAME = 'SillyTavernNicknames';
+
+/**
+ * Options to pick the persona or character a call targets
+ * @typedef {Object} ApiTargetOptions
+ * @property {string} [key] - Avatar key of the persona or character - Defaults to the active one
+ * @property {string} [slot='default'] - Named slot, one of {@link NicknameSlot}
+ */
+
+/**
+ * A resolved nickname
+ * @typedef {Object} ApiResolvedNickname
+ * @property {string|null} nickname - The nickname, null if none is set
+ * @property {string} level - The context level the nickname comes from, 'none' if none is set
+ * @property {string|null} name - The original name of the persona or character
+ */
+
+/**
+ * Gets the avatar key of the active persona or character.
+ * @param {'user'|'char'} type
+ * @returns {string|null}
+ */
+function getActiveKey(type) {
+    if (type === 'user') return user_avatar || null;
+    const context = getContext();
+    return context.characters[context.characterId]?.avatar ?? null;
+}
+
+/**
+ * Validates the type argument of an API call.
+ * @param {string} type
+ * @returns {'user'|'char'}
+ */
+function assertType(type) {
+    if (type !== 'user' && type !== 'char') throw new Error(`Unknown nickname type: ${type}`);
+    return type;
+}
+
+/**
+ * Resolves the nickname of a persona or character, the same way prompts and chat messages do.
+ * @param {'user'|'char'} type
+ * @param {ApiTargetOptions & { pairKey?: string, messageIndex?: number }} [options={}] - `pairKey` is the character (for personas) or persona (for characters) used for the char level, defaulting to the active one
+ * @returns {ApiResolvedNickname}
+ */
+function resolve(type, { key = null, pairKey = null, slot = NicknameSlot.DEFAULT, messageIndex = undefined } = {}) {
+    return toResolvedNickname(explain(type, { key, pairKey, slot, messageIndex }));
+}
+
+/**
+ * Resolves the nickname of a persona or character, with each level's value and part in the resolution.
+ * Same as the `/nickname-resolve` slash command.
+ * @param {'user'|'char'} type
+ * @param {ApiTargetOptions & { pairKey?: string, messageIndex?: number }} [options={}]
+ * @returns {import('./nicknames.js').NicknameWaterfall}
+ */
+function explain(type, { key = null, pairKey = null, slot = NicknameSlot.DEFAULT, messageIndex = undefined } = {}) {
+    assertType(type);
+    const targetKey = key ?? getActiveKey(type);
+    if (!targetKey) throw new Error(type === 'user' ? 'No persona selected' : 'No character selected');
+    const targetPairKey = pairKey ?? getActiveKey(type === 'char' ? 'user' : 'char');
+    return resolveNicknameWaterfall(type, targetKey, targetPairKey, { slot: /** @type {NicknameSlot} */ (slot), messageIndex });
+}
+
+/**
+ * @param {import('./nicknames.js').NicknameWaterfall} waterfall
+ * @returns {ApiResolvedNickname}
+ */
+function toResolvedNickname({ type, key, result }) {
+    return {
+        nickname: result.name ?? null,
+        level: result.context,
+        name: type === 'char' ? getCharName(key) : getPersonaName(key),
+    };
+}
+
+/**
+ * Gets the nickname stored on a single context level.
+ * @param {'user'|'char'} type
+ * @param {string} level - One of {@link ContextLevel}
+ * @param {ApiTargetOptions} [options={}]
+ * @returns {string|null} The nickname or pool in text form, null if none is set
+ */
+function get(type, level, { key = null, slot = NicknameSlot.DEFAULT } = {}) {
+    const result = handleNickname(assertType(type), null, level, { key, slot: /** @type {NicknameSlot} */ (slot) });
+    return formatNicknamePool(result?.pool) || null;
+}
+
+/**
+ * Sets the nickname on a context level. Several nicknames separated by `|` are stored as a pool.
+ * @param {'user'|'char'} type
+ * @param {string} nickname
+ * @param {string} level - One of {@link ContextLevel}
+ * @param {ApiTargetOptions} [options={}]
+ * @returns {string|null} The nickname picked on this level
+ */
+function set(type, nickname, level, { key = null, slot = NicknameSlot.DEFAULT } = {}) {
+    if (!nickname?.trim()) throw new Error('Nickname must not be empty - use reset to remove it');
+    const result = handleNickname(assertType(type), nickname, level, { key, slot: /** @type {NicknameSlot} */ (slot) });
+    refreshAllUI();
+    return result?.name ?? null;
+}
+
+/**
+ * Removes the nickname from a context level.
+ * @param {'user'|'char'} type
+ * @param {string} level - One of {@link ContextLevel}
+ * @param {ApiTargetOptions} [options={}]
+ */
+function reset(type, level, { key = null, slot = NicknameSlot.DEFAULT } = {}) {
+    handleNickname(assertType(type), null, level, { key, slot: /** @type {NicknameSlot} */ (slot), reset: true });
+    refreshAllUI();
+}
+
+/**
+ * Lists all stored nicknames, optionally filtered. Same as the `/nickname-list` slash command.
+ * @param {Parameters<typeof listNicknames>[0]} [filters={}]
+ * @returns {import('./nicknames.js').NicknameListEntry[]}
+ */
+function list(filters = {}) {
+    return listNicknames(filters);
+}
+
+/** The public API object */
+export const nicknamesApi = Object.freeze({
+    version: API_VERSION,
+    /** Custom events emitted on SillyTavern's `eventSource` */
+    events: NicknameEvent,
+    /** Possible `reason` values of a change event */
+    changeReasons: ChangeReason,
+    levels: ContextLevel,
+    slots: NicknameSlot,
+    resolve,
+    explain,
+    get,
+    set,
+    reset,
+    list,
+});
+
+/**
+ * Exposes the public API as a global.
+ */
+export function registerPublicApi() {
+    globalThis[API_GLOBAL_NAME] = nicknamesApi;
+}
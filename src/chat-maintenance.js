@@ -0,0 +1,459 @@
+/**
+ * Batch maintenance of chat-level nickname metadata for the Nicknames extension.
+ * Walks every character and group chat file one at a time, rewrites the nickname
+ * block in its chat metadata and saves the file.
+ *
+ * Jobs are stored in the extension settings while running, so an interrupted job
+ * (closed popup, page reload) can be resumed later. Every operation is idempotent,
+ * so re-processing a chat file after an interruption is harmless.
+ */
+
+import { saveSettingsDebounced, saveChatDebounced } from '../../../../../script.js';
+import { renderExtensionTemplateAsync } from '../../../../extensions.js';
+import { Popup, POPUP_TYPE } from '/scripts/popup.js';
+import { t } from '/scripts/i18n.js';
+import { getContext } from '/scripts/st-context.js';
+import { EXTENSION_KEY, EXTENSION_NAME } from '../index.js';
+import { getSettings, settingKeys, trackNicknameChanges, ChangeReason } from './nicknames.js';
+import { refreshAllUI } from './ui.js';
+
+/** @enum {string} Operations that can be run over all chat files */
+export const ChatOperation = {
+    /** Remove the nickname block from the chat metadata */
+    STRIP: 'strip',
+    /** Move a chat-level nickname from one character or persona key to another */
+    REKEY: 'rekey',
+};
+
+/**
+ * A batch job over all chat files
+ * @typedef {Object} ChatMaintenanceJob
+ * @property {ChatOperation} operation - The operation to run on each chat
+ * @property {'user'|'char'} [type] - For rekey: whether persona or character keys are moved
+ * @property {string} [from] - For rekey: the old avatar key
+ * @property {string} [to] - For rekey: the new avatar key
+ * @property {string[]} done - Ids of chat files that were already processed
+ * @property {number} changed - Number of chat files that were changed so far
+ * @property {string[]} failed - Ids of chat files that could not be processed
+ */
+
+/**
+ * Reference to a single chat file
+ * @typedef {Object} ChatFileRef
+ * @property {string} id - Unique id of the chat file, used to track job progress
+ * @property {string} label - Readable label for progress display
+ * @property {string} fileId - Chat file name without extension (group chats: the chat id)
+ * @property {string} [avatar] - Avatar key of the character, for character chats
+ * @property {string} [charName] - Name of the character, for character chats
+ * @property {string} [groupId] - Id of the group, for group chats
+ */
+
+/**
+ * Progress of a running job
+ * @typedef {Object} ChatMaintenanceProgress
+ * @property {number} processed - Number of processed chat files, including ones from a previous run
+ * @property {number} total - Total number of chat files
+ * @property {number} changed - Number of changed chat files
+ * @property {ChatFileRef|null} current - The chat file being processed
+ */
+
+// ---------------------------------------------------------------------------
+// Chat Operations
+// ---------------------------------------------------------------------------
+
+/**
+ * Applies the job's operation to a chat metadata object.
+ * @param {Record<string, any>} chatMetadata
+ * @param {ChatMaintenanceJob} job
+ * @returns {boolean} Whether the metadata was changed
+ */
+export function applyChatOperation(chatMetadata, job) {
+    /** @type {import('./nicknames.js').NicknameMappings|undefined} */
+    const chatMappings = chatMetadata?.[EXTENSION_KEY];
+    if (!chatMappings) return false;
+
+    switch (job.operation) {
+        case ChatOperation.STRIP: {
+            delete chatMetadata[EXTENSION_KEY];
+            return true;
+        }
+        case ChatOperation.REKEY: {
+            if (job.from === job.to) return false;
+            const typeKey = job.type === 'char' ? 'chars' : 'personas';
+            let changed = false;
+            // Nickname stages and ignored suggestions move along with the nicknames
+            for (const map of [chatMappings[typeKey], chatMappings.stages?.[typeKey], chatMappings.ignoredSuggestions?.[typeKey]]) {
+                if (!map?.[job.from]) continue;
+                map[job.to] = map[job.from];
+                delete map[job.from];
+                changed = true;
+            }
+            return changed;
+        }
+        default:
+            throw new Error(`Unknown chat operation: ${job.operation}`);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Chat File Access
+// ---------------------------------------------------------------------------
+
+/**
+ * Lists all character and group chat files.
+ * @returns {Promise<ChatFileRef[]>}
+ */
+export async function listAllChatFiles() {
+    const context = getContext();
+
+    /** @type {ChatFileRef[]} */
+    const files = [];
+    for (const character of context.characters) {
+        const response = await fetch('/api/characters/chats', {
+            method: 'POST',
+            headers: context.getRequestHeaders(),
+            body: JSON.stringify({ avatar_url: character.avatar, simple: true }),
+        });
+        if (!response.ok) continue;
+
+        const data = await response.json();
+        if (!Array.isArray(data)) continue; // No chat folder for this character
+
+        for (const { file_id } of data) {
+            files.push({
+                id: `char:${character.avatar}:${file_id}`,
+                label: `${character.name}: ${file_id}`,
+                fileId: file_id,
+                avatar: character.avatar,
+                charName: character.name,
+            });
+        }
+    }
+    for (const group of context.groups) {
+        for (const chatId of group.chats ?? []) {
+            files.push({
+                id: `group:${chatId}`,
+                label: `${group.name}: ${chatId}`,
+                fileId: chatId,
+                groupId: group.id,
+            });
+        }
+    }
+    return files;
+}
+
+/**
+ * Returns whether the chat file is the currently opened chat.
+ * The open chat must be changed in memory, otherwise the next regular save would overwrite the file.
+ * @param {ChatFileRef} file
+ * @returns {boolean}
+ */
+function isCurrentChat(file) {
+    const context = getContext();
+    if (file.fileId !== context.getCurrentChatId()) return false;
+    return file.groupId
+        ? file.groupId === context.groupId
+        : file.avatar === context.characters[context.characterId]?.avatar;
+}
+
+/**
+ * Loads a chat file, including its metadata header.
+ * @param {ChatFileRef} file
+ * @returns {Promise<Array<Record<string, any>>>}
+ */
+async function loadChatFile(file) {
+    const context = getContext();
+    const response = file.groupId
+        ? await fetch('/api/chats/group/get', {
+            method: 'POST',
+            headers: context.getRequestHeaders(),
+            body: JSON.stringify({ id: file.fileId }),
+            cache: 'no-cache',
+        })
+        : await fetch('/api/chats/get', {
+            method: 'POST',
+            headers: context.getRequestHeaders(),
+            body: JSON.stringify({ ch_name: file.charName, file_name: file.fileId, avatar_url: file.avatar }),
+            cache: 'no-cache',
+        });
+    if (!response.ok) throw new Error(`Could not load chat ${file.label}: ${response.statusText}`);
+
+    const data = await response.json();
+    return Array.isArray(data) ? data : [];
+}
+
+/**
+ * Saves a chat file, including its metadata header.
+ * @param {ChatFileRef} file
+ * @param {Array<Record<string, any>>} chat
+ */
+async function saveChatFile(file, chat) {
+    const context = getContext();
+    const response = file.groupId
+        ? await fetch('/api/chats/group/save', {
+            method: 'POST',
+            headers: context.getRequestHeaders(),
+            body: JSON.stringify({ id: file.fileId, chat }),
+            cache: 'no-cache',
+        })
+        : await fetch('/api/chats/save', {
+            method: 'POST',
+            headers: context.getRequestHeaders(),
+            body: JSON.stringify({ ch_name: file.charName, file_name: file.fileId, chat, avatar_url: file.avatar }),
+            cache: 'no-cache',
+        });
+    if (!response.ok) throw new Error(`Could not save chat ${file.label}: ${response.statusText}`);
+}
+
+/**
+ * Runs the job's operation on a single chat file, saving it if it was changed.
+ * @param {ChatFileRef} file
+ * @param {ChatMaintenanceJob} job
+ * @returns {Promise<boolean>} Whether the chat was changed
+ */
+async function processChatFile(file, job) {
+    if (isCurrentChat(file)) {
+        const changed = trackNicknameChanges(ChangeReason.MAINTENANCE, () => applyChatOperation(getContext().chatMetadata, job));
+        if (changed) saveChatDebounced();
+        return changed;
+    }
+
+    const chat = await loadChatFile(file);
+    const header = chat[0];
+    if (!header || !Object.hasOwn(header, 'chat_metadata')) return false;
+
+    const changed = applyChatOperation(header.chat_metadata, job);
+    if (changed) await saveChatFile(file, chat);
+    return changed;
+}
+
+// ---------------------------------------------------------------------------
+// Job Management
+// ---------------------------------------------------------------------------
+
+/**
+ * Gets the unfinished job from a previous run, if any.
+ * @returns {ChatMaintenanceJob|null}
+ */
+export function getPendingChatJob() {
+    return getSettings()[settingKeys.CHAT_MAINTENANCE_JOB] ?? null;
+}
+
+/**
+ * Discards the unfinished job.
+ */
+export function discardPendingChatJob() {
+    getSettings()[settingKeys.CHAT_MAINTENANCE_JOB] = null;
+    saveSettingsDebounced();
+}
+
+/**
+ * Creates a new job and stores it as the pending job, replacing any previous one.
+ * @param {ChatOperation} operation
+ * @param {object} [params={}] - Additional parameters for the operation
+ * @param {'user'|'char'} [params.type] - For rekey: whether persona or character keys are moved
+ * @param {string} [params.from] - For rekey: the old avatar key
+ * @param {string} [params.to] - For rekey: the new avatar key
+ * @returns {ChatMaintenanceJob}
+ */
+export function createChatJob(operation, { type, from, to } = {}) {
+    if (!Object.values(ChatOperation).includes(operation)) {
+        throw new Error(`Unknown chat operation: ${operation}`);
+    }
+    if (operation === ChatOperation.REKEY && (!type || !from || !to)) {
+        throw new Error('Re-keying requires a type and both the old and the new key');
+    }
+
+    /** @type {ChatMaintenanceJob} */
+    const job = { operation, type, from, to, done: [], changed: 0, failed: [] };
+    getSettings()[settingKeys.CHAT_MAINTENANCE_JOB] = job;
+    saveSettingsDebounced();
+    return job;
+}
+
+/**
+ * Runs (or resumes) a job over all chat files, one file at a time.
+ * Progress is stored after every file. The job is removed once all files were processed, along with the file ids it kept.
+ * @param {ChatMaintenanceJob} job
+ * @param {object} [options={}]
+ * @param {(progress: ChatMaintenanceProgress) => void} [options.onProgress] - Called before and after each file
+ * @param {() => boolean} [options.isCancelled] - Checked before each file; return true to stop (the job stays resumable)
+ * @returns {Promise<{ finished: boolean, changed: number, failed: number }>}
+ */
+export async function runChatJob(job, { onProgress = () => { }, isCancelled = () => false } = {}) {
+    const files = await listAllChatFiles();
+    const done = new Set(job.done);
+
+    /** @param {ChatFileRef|null} current */
+    const report = (current) => onProgress({
+        processed: files.filter(f => done.has(f.id)).length,
+        total: files.length,
+        changed: job.changed,
+        current,
+    });
+
+    for (const file of files) {
+        if (done.has(file.id)) continue;
+        if (isCancelled()) return { finished: false, changed: job.changed, failed: job.failed.length };
+
+        report(file);
+        try {
+            if (await processChatFile(file, job)) job.changed++;
+        } catch (error) {
+            console.error(`[Nicknames] Chat maintenance failed for ${file.label}`, error);
+            job.failed.push(file.id);
+        }
+
+        done.add(file.id);
+        job.done.push(file.id);
+        saveSettingsDebounced();
+    }
+
+    report(null);
+    const result = { finished: true, changed: job.changed, failed: job.failed.length };
+    if (getPendingChatJob() === job) discardPendingChatJob();
+    job.done.length = 0;
+    job.failed.length = 0;
+    return result;
+}
+
+// ---------------------------------------------------------------------------
+// Popup
+// ---------------------------------------------------------------------------
+
+/**
+ * Describes a job for display.
+ * @param {ChatMaintenanceJob} job
+ * @returns {string}
+ */
+function describeJob(job) {
+    return job.operation === ChatOperation.STRIP
+        ? t`Remove all chat-level nicknames`
+        : t`Re-key ${job.type === 'char' ? 'character' : 'persona'} "${job.from}" to "${job.to}"`;
+}
+
+/**
+ * Fills the "to" select with existing characters or personas of the selected type.
+ * @param {JQuery<HTMLElement>} $container
+ */
+function populateRekeyTargets($container) {
+    const context = getContext();
+    const type = $container.find('.nickname-chat-rekey-type').val();
+    const targets = type === 'char'
+        ? context.characters.map(c => ({ key: c.avatar, name: c.name }))
+        : Object.entries(context.powerUserSettings.personas ?? {}).map(([key, name]) => ({ key, name }));
+
+    const $select = $container.find('.nickname-chat-rekey-to').empty();
+    for (const target of targets.sort((a, b) => a.name.localeCompare(b.name))) {
+        $('<option>').val(target.key).text(`${target.name} (${target.key})`).appendTo($select);
+    }
+}
+
+/**
+ * Opens the chat maintenance popup, from where jobs over all chat files can be started or resumed.
+ * Closing the popup stops a running job after the current file; it can be resumed later.
+ * @returns {Promise<void>}
+ */
+export async function openChatMaintenance() {
+    const html = await renderExtensionTemplateAsync(`third-party/${EXTENSION_NAME}`, 'templates/chat-maintenance');
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const container = /** @type {HTMLElement} */ (template.content.firstElementChild);
+    const $container = $(container);
+
+    let running = false;
+    let cancelled = false;
+
+    const refreshPending = () => {
+        const pending = getPendingChatJob();
+        $container.find('.nickname-chat-pending').toggleClass('hidden', !pending || running);
+        $container.find('.nickname-chat-pending-label').text(pending ? t`${describeJob(pending)} — ${pending.done.length} chats processed` : '');
+        $container.find('.nickname-chat-start').toggleClass('disabled', running);
+    };
+
+    /** @param {ChatMaintenanceJob} job */
+    const run = async (job) => {
+        running = true;
+        refreshPending();
+        $container.find('.nickname-chat-progress').removeClass('hidden');
+
+        let result;
+        try {
+            result = await runChatJob(job, {
+                isCancelled: () => cancelled,
+                onProgress: ({ processed, total, changed, current }) => {
+                    $container.find('progress').attr('max', total).val(processed);
+                    $container.find('.nickname-chat-progress-label').text(current
+                        ? t`${processed} / ${total} — ${current.label}`
+                        : t`${processed} / ${total} — ${changed} chats changed`);
+                },
+            });
+        } catch (error) {
+            // Listing the chat files failed - the job stays stored and can be resumed
+            console.error('[Nicknames] Chat maintenance failed', error);
+            toastr.error(t`The chat files could not be listed: ${error?.message}`, t`Nicknames Chat Data`);
+            return;
+        } finally {
+            running = false;
+            refreshPending();
+        }
+
+        if (result.changed) refreshAllUI();
+        if (!result.finished) return;
+
+        if (result.failed) {
+            toastr.warning(t`Changed ${result.changed} chats. ${result.failed} chats could not be processed, see the browser console for details.`, t`Nicknames Chat Data`);
+        } else {
+            toastr.success(t`Done. Changed ${result.changed} chats.`, t`Nicknames Chat Data`);
+        }
+    };
+
+    $container.find('.nickname-chat-rekey-type').on('change', () => populateRekeyTargets($container));
+    $container.find('input[name="nickname_chat_operation"]').on('change', function () {
+        $container.find('.nickname-chat-rekey-options').toggleClass('hidden', $(this).val() !== ChatOperation.REKEY);
+    });
+    populateRekeyTargets($container);
+
+    $container.find('.nickname-chat-start').on('click', async function () {
+        if (running) return;
+        const operation = /** @type {ChatOperation} */ ($container.find('input[name="nickname_chat_operation"]:checked').val());
+        const params = operation === ChatOperation.REKEY ? {
+            type: /** @type {'user'|'char'} */ ($container.find('.nickname-chat-rekey-type').val()),
+            from: String($container.find('.nickname-chat-rekey-from').val()).trim(),
+            to: String($container.find('.nickname-chat-rekey-to').val()),
+        } : {};
+
+        let job;
+        try {
+            job = createChatJob(operation, params);
+        } catch (error) {
+            toastr.warning(error.message, t`Nicknames Chat Data`);
+            return;
+        }
+        await run(job);
+    });
+    $container.find('.nickname-chat-resume').on('click', async () => {
+        const pending = getPendingChatJob();
+        if (pending && !running) await run(pending);
+    });
+    $container.find('.nickname-chat-discard').on('click', () => {
+        discardPendingChatJob();
+        refreshPending();
+    });
+
+    refreshPending();
+
+    const popup = new Popup(container, POPUP_TYPE.TEXT, null, {
+        okButton: t`Close`,
+        wide: true,
+        onClosing: () => {
+            // Stop after the current file — the job stays stored and can be resumed
+            if (running) {
+                cancelled = true;
+                toastr.info(t`Chat maintenance paused. It can be resumed from the extension settings.`, t`Nicknames Chat Data`);
+            }
+            return true;
+        },
+    });
+    await popup.show();
+}
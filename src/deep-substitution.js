@@ -0,0 +1,236 @@
+/**
+ * Deep substitution — rewrites hard-coded full names to nicknames in the outgoing prompt.
+ * Macros only cover text that uses {{user}}/{{char}}. Past messages and card fields that spell out the
+ * full name are rewritten here, on their way into the prompt. The stored chat and card are never changed.
+ */
+
+import { eventSource, event_types, saveSettingsDebounced, user_avatar } from '../../../../../script.js';
+import { escapeRegex } from '../../../../utils.js';
+import { getContext } from '/scripts/st-context.js';
+import { addGenerateInterceptorHandler, getInterceptedMessageIndex } from './generate-interceptor.js';
+import { ContextLevel, ensureSettings, getNicknameForCharAvatar, getNicknameForPersonaAvatar, getNicknameSnapshot, getOriginalMessageName, nicknameSettings } from './nicknames.js';
+
+/** @enum {string} Parts of the prompt deep substitution can be enabled for */
+export const SubstitutionField = {
+    /** Messages of the chat history */
+    HISTORY: 'history',
+    /** Character description */
+    DESCRIPTION: 'description',
+    /** Character personality */
+    PERSONALITY: 'personality',
+    /** Scenario */
+    SCENARIO: 'scenario',
+    /** Example dialogues */
+    EXAMPLES: 'mesExamples',
+};
+
+/** Card fields that are matched in the combined prompt, as named by `getCharacterCardFields` */
+const CARD_FIELDS = [SubstitutionField.DESCRIPTION, SubstitutionField.PERSONALITY, SubstitutionField.SCENARIO, SubstitutionField.EXAMPLES];
+
+/**
+ * Whether deep substitution is enabled for a part of the prompt.
+ * @param {SubstitutionField} field
+ * @returns {boolean}
+ */
+export function isSubstitutionFieldEnabled(field) {
+    return nicknameSettings.useDeepSubstitution && !!ensureSettings().deepSubstitutionFields[field];
+}
+
+/**
+ * Enables or disables deep substitution for a part of the prompt.
+ * @param {SubstitutionField} field
+ * @param {boolean} enabled
+ */
+export function setSubstitutionFieldEnabled(field, enabled) {
+    if (!Object.values(SubstitutionField).includes(field)) {
+        throw new Error(`Unknown substitution field: ${field}`);
+    }
+    ensureSettings().deepSubstitutionFields[field] = enabled;
+    saveSettingsDebounced();
+}
+
+/**
+ * Gets the full names of the persona and the characters of the current chat, mapped to their nicknames.
+ * Only names that have a nickname different from the full name are included.
+ * @param {number} [messageIndex] - Index of the message nicknames are picked from pools for - Defaults to the next message
+ * @returns {Map<string, string>}
+ */
+export function getNameReplacements(messageIndex = undefined) {
+    const context = getContext();
+    const activeCharKey = context.characters[context.characterId]?.avatar ?? null;
+    const charKeys = context.groupId
+        ? context.groups.find(group => group.id === context.groupId)?.members ?? []
+        : [activeCharKey].filter(Boolean);
+
+    /** @type {Map<string, string>} */
+    const replacements = new Map();
+    /** @param {string} fullName @param {import('./nicknames.js').NicknameResult} result */
+    const add = (fullName, result) => {
+        if (!fullName || result.context === ContextLevel.NONE || !result.name || result.name === fullName) return;
+        if (!replacements.has(fullName)) replacements.set(fullName, result.name);
+    };
+
+    for (const charKey of charKeys) {
+        const char = context.characters.find(c => c.avatar === charKey);
+        if (char) add(char.name, getNicknameForCharAvatar(charKey, user_avatar, { messageIndex }));
+    }
+    if (user_avatar) add(context.name1, getNicknameForPersonaAvatar(user_avatar, activeCharKey, { messageIndex }));
+
+    return replacements;
+}
+
+/**
+ * Gets the name replacements for a chat message, see {@link getNameReplacements}.
+ * With nickname snapshots, the sender is called what they were called back then, same as the name on the message.
+ * @param {{ name?: string, extra?: object }} message - The chat message
+ * @param {number} [messageIndex] - Index of the message in the chat
+ * @returns {Map<string, string>}
+ */
+export function getMessageNameReplacements(message, messageIndex = undefined) {
+    const replacements = getNameReplacements(messageIndex);
+
+    const snapshot = nicknameSettings.useNicknameSnapshots ? getNicknameSnapshot(message) : null;
+    const senderName = getOriginalMessageName(message);
+    if (snapshot && senderName) {
+        if (snapshot.context !== ContextLevel.NONE && snapshot.name !== senderName) replacements.set(senderName, snapshot.name);
+        else replacements.delete(senderName);
+    }
+    return replacements;
+}
+
+/**
+ * Builds the pattern matching whole-word occurrences of names.
+ * @param {string[]} names
+ * @param {boolean} [ignoreCase=false]
+ * @returns {RegExp}
+ */
+function createNamePattern(names, ignoreCase = false) {
+    // Longest names first, so "Anna Lee" wins over "Anna"
+    const alternatives = [...names].sort((a, b) => b.length - a.length).map(escapeRegex);
+    return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}_])`, ignoreCase ? 'giu' : 'gu');
+}
+
+/**
+ * Splits a text at whole-word occurrences of full names, see {@link substituteNames}.
+ * @param {string} text
+ * @param {Map<string, string>} replacements - Full names mapped to nicknames, see {@link getNameReplacements}
+ * @param {object} [options={}]
+ * @param {boolean} [options.caseAware=false] - Also match names written in all caps, replaced with the nickname in all caps.
+ *   Other case variants are left alone, as a lowercase name is often a regular word ("Will", "will").
+ * @returns {Array<string | { nickname: string, match: string }>} Unchanged text, and the names found with their nickname
+ */
+export function splitByNames(text, replacements, { caseAware = false } = {}) {
+    if (!text || !replacements.size) return [text];
+
+    const pattern = createNamePattern([...replacements.keys()], caseAware);
+    const byUpperCase = new Map([...replacements].map(([name, nickname]) => [name.toUpperCase(), nickname.toUpperCase()]));
+
+    /** @type {Array<string | { nickname: string, match: string }>} */
+    const parts = [];
+    let lastIndex = 0;
+    for (const { 0: match, index } of text.matchAll(pattern)) {
+        const nickname = replacements.get(match) ?? (caseAware ? byUpperCase.get(match) : undefined);
+        if (nickname === undefined) continue;
+
+        if (index > lastIndex) parts.push(text.slice(lastIndex, index));
+        parts.push({ nickname, match });
+        lastIndex = index + match.length;
+    }
+    if (lastIndex < text.length) parts.push(text.slice(lastIndex));
+    return parts;
+}
+
+/**
+ * Replaces whole-word occurrences of full names in a text with their nicknames.
+ * All names are replaced in a single pass, so a nickname containing another full name is left as-is.
+ * @param {string} text
+ * @param {Map<string, string>} replacements - Full names mapped to nicknames, see {@link getNameReplacements}
+ * @param {object} [options={}]
+ * @param {boolean} [options.caseAware=false] - Also replace names written in all caps, see {@link splitByNames}
+ * @returns {string}
+ */
+export function substituteNames(text, replacements, { caseAware = false } = {}) {
+    if (!text || !replacements.size) return text;
+    return splitByNames(text, replacements, { caseAware }).map(part => typeof part === 'string' ? part : part.nickname).join('');
+}
+
+/**
+ * Generation interceptor handler — rewrites full names in the chat history sent to the model.
+ * @type {import('./generate-interceptor.js').GenerateInterceptorHandler}
+ */
+function substituteChatHistory(chat) {
+    if (!isSubstitutionFieldEnabled(SubstitutionField.HISTORY)) return;
+
+    for (let i = 0; i < chat.length; i++) {
+        const message = chat[i];
+        if (typeof message?.mes !== 'string') continue;
+
+        // Pools pick per message, same as the nickname shown on the message
+        const mes = substituteNames(message.mes, getMessageNameReplacements(message, getInterceptedMessageIndex(i)));
+        if (mes !== message.mes) chat[i] = { ...message, mes };
+    }
+}
+
+/**
+ * Builds the rewritten versions of all enabled card fields, line by line.
+ * Card fields end up formatted differently per API (e.g. example dialogues split into messages),
+ * so single lines are the largest unit that reliably appears verbatim in the combined prompt.
+ * @returns {Map<string, string>} Original lines mapped to their rewritten version
+ */
+function getCardFieldLineReplacements() {
+    const fields = CARD_FIELDS.filter(isSubstitutionFieldEnabled);
+    if (!fields.length) return new Map();
+
+    const replacements = getNameReplacements();
+    if (!replacements.size) return new Map();
+
+    const cardFields = getContext().getCharacterCardFields();
+    /** @type {Map<string, string>} */
+    const lines = new Map();
+    for (const field of fields) {
+        for (const line of String(cardFields[field] ?? '').split('\n')) {
+            const trimmed = line.trim();
+            if (!trimmed || lines.has(trimmed)) continue;
+            const substituted = substituteNames(trimmed, replacements);
+            if (substituted !== trimmed) lines.set(trimmed, substituted);
+        }
+    }
+    return lines;
+}
+
+/**
+ * Rewrites the given card field lines in a prompt text.
+ * @param {string} text
+ * @param {Map<string, string>} lines - See {@link getCardFieldLineReplacements}
+ * @returns {string}
+ */
+function substituteCardFieldLines(text, lines) {
+    let result = text;
+    for (const [line, substituted] of lines) {
+        result = result.replaceAll(line, () => substituted);
+    }
+    return result;
+}
+
+/**
+ * Registers the generation interceptor and prompt event listeners for deep substitution.
+ * They are always registered, and check the settings on every generation.
+ */
+export function registerDeepSubstitution() {
+    addGenerateInterceptorHandler(substituteChatHistory);
+
+    // Text completion - the combined prompt string
+    eventSource.on(event_types.GENERATE_AFTER_COMBINE_PROMPTS, /** @param {{ prompt: string }} data */ (data) => {
+        const lines = getCardFieldLineReplacements();
+        if (lines.size && typeof data?.prompt === 'string') data.prompt = substituteCardFieldLines(data.prompt, lines);
+    });
+
+    // Chat completion - the final list of messages
+    eventSource.on(event_types.CHAT_COMPLETION_PROMPT_READY, /** @param {{ chat: { content: string|object[] }[] }} data */ (data) => {
+        const lines = getCardFieldLineReplacements();
+        if (!lines.size || !Array.isArray(data?.chat)) return;
+        for (const message of data.chat) {
+            if (typeof message.content === 'string') message.content = substituteCardFieldLines(message.content, lines);
+        }
+    });
+}
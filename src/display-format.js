@@ -0,0 +1,105 @@
+/**
+ * Display format of the nickname labels shown in chat message headers and the character and persona lists.
+ * Each place has its own format template, e.g. `{nickname} ({full})`, and can show a badge with the level
+ * the nickname comes from.
+ */
+
+import { saveSettingsDebounced } from '../../../../../script.js';
+import { t } from '/scripts/i18n.js';
+import { ContextLevel, ensureSettings, nicknameSettings } from './nicknames.js';
+
+/** @enum {string} Places nickname labels are shown */
+export const DisplaySurface = {
+    /** Sender name in the header of chat messages */
+    MESSAGE: 'message',
+    /** Names in the character list */
+    CHAR_LIST: 'charList',
+    /** Names in the persona list */
+    PERSONA_LIST: 'personaList',
+};
+
+/** The format used when none is set - the nickname alone */
+export const DEFAULT_DISPLAY_FORMAT = '{nickname}';
+
+/** Icon and label shown for each level in `{level-icon}`, `{level}` and the level badge */
+const LEVEL_DISPLAY = {
+    [ContextLevel.GLOBAL]: { icon: 'fa-globe', label: () => t`Global` },
+    [ContextLevel.CHAR]: { icon: 'fa-user', label: () => t`Character` },
+    [ContextLevel.GROUP]: { icon: 'fa-users', label: () => t`Group` },
+    [ContextLevel.CHAT]: { icon: 'fa-message', label: () => t`Chat` },
+    [ContextLevel.RULE]: { icon: 'fa-code-branch', label: () => t`Rule` },
+};
+
+/** Matches the placeholders of a format template */
+const PLACEHOLDER_PATTERN = /\{(nickname|full|level|level-icon)\}/g;
+
+/**
+ * Gets the format template of a place nickname labels are shown.
+ * @param {DisplaySurface} surface
+ * @returns {string}
+ */
+export function getDisplayFormat(surface) {
+    return ensureSettings().displayFormats[surface]?.trim() || DEFAULT_DISPLAY_FORMAT;
+}
+
+/**
+ * Sets the format template of a place nickname labels are shown.
+ * @param {DisplaySurface} surface
+ * @param {string} format - The template, or an empty string for the default
+ */
+export function setDisplayFormat(surface, format) {
+    if (!Object.values(DisplaySurface).includes(surface)) {
+        throw new Error(`Unknown display surface: ${surface}`);
+    }
+    ensureSettings().displayFormats[surface] = format.trim();
+    saveSettingsDebounced();
+}
+
+/**
+ * Creates the icon of a level.
+ * @param {ContextLevel} level
+ * @returns {HTMLElement}
+ */
+function createLevelIcon(level) {
+    const icon = document.createElement('i');
+    icon.className = `fa-solid fa-fw ${LEVEL_DISPLAY[level]?.icon ?? 'fa-signature'} nickname-level-icon`;
+    icon.dataset.context = level;
+    icon.title = LEVEL_DISPLAY[level]?.label() ?? level;
+    return icon;
+}
+
+/**
+ * Renders the label of a nickname in the format of the place it is shown in.
+ * @param {DisplaySurface} surface - Where the label is shown
+ * @param {import('./nicknames.js').NicknameResult} result - The nickname to show
+ * @param {string} fullName - The original name
+ * @returns {DocumentFragment}
+ */
+export function renderNicknameLabel(surface, result, fullName) {
+    const fragment = document.createDocumentFragment();
+    const format = getDisplayFormat(surface);
+    const level = result.context;
+
+    let lastIndex = 0;
+    for (const match of format.matchAll(PLACEHOLDER_PATTERN)) {
+        if (match.index > lastIndex) fragment.append(format.slice(lastIndex, match.index));
+        switch (match[1]) {
+            case 'nickname': fragment.append(result.name ?? fullName); break;
+            case 'full': fragment.append(fullName); break;
+            case 'level': fragment.append(LEVEL_DISPLAY[level]?.label() ?? level); break;
+            case 'level-icon': fragment.append(createLevelIcon(level)); break;
+        }
+        lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < format.length) fragment.append(format.slice(lastIndex));
+
+    if (nicknameSettings.showLevelBadge && LEVEL_DISPLAY[level]) {
+        const badge = document.createElement('span');
+        badge.className = 'nickname-level-badge';
+        badge.dataset.context = level;
+        badge.textContent = LEVEL_DISPLAY[level].label();
+        fragment.append(badge);
+    }
+
+    return fragment;
+}
@@ -0,0 +1,314 @@
+/**
+ * Function calling integration for the Nicknames extension.
+ * Lets the model set chat-level nicknames for the user or the character, governed by a per-character
+ * policy, and keeps an audit log of every change the model requested.
+ */
+
+import { saveSettingsDebounced, user_avatar } from '../../../../../script.js';
+import { renderExtensionTemplateAsync } from '../../../../extensions.js';
+import { ToolManager } from '../../../../tool-calling.js';
+import { escapeHtml } from '../../../../utils.js';
+import { Popup, POPUP_TYPE, POPUP_RESULT } from '/scripts/popup.js';
+import { t, translate } from '/scripts/i18n.js';
+import { getContext } from '/scripts/st-context.js';
+import { EXTENSION_NAME } from '../index.js';
+import {
+    ContextLevel,
+    ToolPolicy,
+    POOL_SEPARATOR,
+    handleNickname,
+    getToolPolicy,
+    getSettings,
+    nicknameSettings,
+} from './nicknames.js';
+import { refreshAllUI } from './ui.js';
+
+/** Name of the function tool the model calls */
+export const SET_NICKNAME_TOOL = 'NicknamesSetNickname';
+
+/** Maximum number of entries kept in the audit log. Older entries are dropped first. */
+const AUDIT_LOG_LIMIT = 200;
+
+/** Maximum length of a nickname set by the model */
+const MAX_TOOL_NICKNAME_LENGTH = 100;
+
+/** @enum {string} Outcome of a nickname change requested by the model */
+export const ToolCallStatus = {
+    /** The nickname was set */
+    APPLIED: 'applied',
+    /** The user declined the change in the confirmation popup */
+    DECLINED: 'declined',
+    /** The character's policy does not allow the model to change nicknames */
+    FORBIDDEN: 'forbidden',
+    /** The change was invalid or could not be saved */
+    FAILED: 'failed',
+};
+
+/**
+ * A nickname change requested by the model
+ * @typedef {Object} ToolAuditEntry
+ * @property {string} timestamp - ISO timestamp of the request
+ * @property {string|null} chatId - Id of the chat the request was made in
+ * @property {string|null} charKey - Avatar key of the character whose policy applied
+ * @property {string|null} charName - Name of that character at the time of the request
+ * @property {'user'|'char'} target - Whether the nickname is for the user or the character
+ * @property {string} nickname - The requested nickname
+ * @property {string|null} previous - Effective nickname before the request
+ * @property {string|null} reason - Reason given by the model
+ * @property {ToolCallStatus} status
+ */
+
+/** @type {{[status: string]: { icon: string, label: string }}} */
+const STATUS_DISPLAY = {
+    [ToolCallStatus.APPLIED]: { icon: 'fa-check', label: 'Applied' },
+    [ToolCallStatus.DECLINED]: { icon: 'fa-xmark', label: 'Declined' },
+    [ToolCallStatus.FORBIDDEN]: { icon: 'fa-ban', label: 'Forbidden' },
+    [ToolCallStatus.FAILED]: { icon: 'fa-triangle-exclamation', label: 'Failed' },
+};
+
+// ---------------------------------------------------------------------------
+// Audit Log
+// ---------------------------------------------------------------------------
+
+/**
+ * Gets all logged nickname changes requested by the model, oldest first.
+ * @returns {ToolAuditEntry[]}
+ */
+export function getToolAuditLog() {
+    return getSettings().toolAuditLog;
+}
+
+/**
+ * Adds an entry to the audit log, dropping the oldest entries above {@link AUDIT_LOG_LIMIT}.
+ * @param {Omit<ToolAuditEntry, 'timestamp'>} entry
+ */
+function addAuditEntry(entry) {
+    const log = getToolAuditLog();
+    log.push({ timestamp: new Date().toISOString(), ...entry });
+    log.splice(0, Math.max(0, log.length - AUDIT_LOG_LIMIT));
+    saveSettingsDebounced();
+}
+
+/**
+ * Removes all entries from the audit log.
+ */
+export function clearToolAuditLog() {
+    getToolAuditLog().length = 0;
+    saveSettingsDebounced();
+}
+
+// ---------------------------------------------------------------------------
+// Tool Action
+// ---------------------------------------------------------------------------
+
+/**
+ * Gets the avatar key of the active character. In group chats, this is the member currently replying.
+ * @returns {string|null}
+ */
+function getActiveCharKey() {
+    const context = getContext();
+    return context.characters[context.characterId]?.avatar ?? null;
+}
+
+/**
+ * Asks the user to confirm a nickname change requested by the model.
+ * @param {'user'|'char'} target
+ * @param {string} nickname
+ * @param {string|null} previous
+ * @param {string|null} reason
+ * @returns {Promise<boolean>}
+ */
+async function confirmNicknameChange(target, nickname, previous, reason) {
+    const context = getContext();
+    const who = target === 'user' ? t`your nickname` : t`the nickname of ${context.name2}`;
+    const reasonLine = reason ? `\n<b>${t`Reason:`}</b> ${escapeHtml(reason)}` : '';
+    const result = await Popup.show.confirm(
+        t`Nickname Change`,
+        t`${context.name2} wants to change ${who} in this chat.
+
+<b>Current:</b> ${escapeHtml(previous ?? t`not set`)}
+<b>New:</b> ${escapeHtml(nickname)}` + reasonLine,
+        {
+            okButton: t`Apply`,
+            cancelButton: t`Decline`,
+        },
+    );
+    return result === POPUP_RESULT.AFFIRMATIVE;
+}
+
+/**
+ * Function tool action — sets a chat-level nickname, following the active character's policy.
+ * The returned text is sent back to the model as the tool result.
+ * @param {{ target: string, nickname: string, reason?: string }} args
+ * @returns {Promise<string>}
+ */
+async function setNicknameAction(args) {
+    const target = args?.target === 'user' || args?.target === 'char' ? args.target : null;
+    const nickname = String(args?.nickname ?? '').trim();
+    const reason = String(args?.reason ?? '').trim() || null;
+    if (!target) throw new Error('Invalid target, must be "user" or "char"');
+    if (!nickname) throw new Error('Missing nickname');
+
+    const charKey = getActiveCharKey();
+    const previousResult = handleNickname(target);
+    /** @type {Omit<ToolAuditEntry, 'timestamp'|'status'>} */
+    const entry = {
+        chatId: getContext().chatId ?? null,
+        charKey,
+        charName: getContext().name2 ?? null,
+        target,
+        nickname,
+        previous: previousResult.context !== ContextLevel.NONE ? previousResult.name : null,
+        reason,
+    };
+
+    if (nickname.length > MAX_TOOL_NICKNAME_LENGTH || nickname.includes(POOL_SEPARATOR)) {
+        addAuditEntry({ ...entry, status: ToolCallStatus.FAILED });
+        return `The nickname was not set. It must be a single nickname of at most ${MAX_TOOL_NICKNAME_LENGTH} characters, without "${POOL_SEPARATOR}".`;
+    }
+    if (!charKey || (target === 'user' && !user_avatar)) {
+        addAuditEntry({ ...entry, status: ToolCallStatus.FAILED });
+        return 'The nickname was not set, as there is no active character or persona.';
+    }
+
+    const policy = getToolPolicy(charKey);
+    if (policy === ToolPolicy.FORBIDDEN) {
+        addAuditEntry({ ...entry, status: ToolCallStatus.FORBIDDEN });
+        return 'The nickname was not set. Changing nicknames is not allowed in this chat.';
+    }
+    if (policy === ToolPolicy.CONFIRM && !await confirmNicknameChange(target, nickname, entry.previous, reason)) {
+        addAuditEntry({ ...entry, status: ToolCallStatus.DECLINED });
+        return 'The user declined the nickname change. Keep using the current name.';
+    }
+
+    try {
+        handleNickname(target, nickname, ContextLevel.CHAT);
+        refreshAllUI();
+    } catch (error) {
+        console.error('[Nicknames] Setting nickname via function tool failed', error);
+        addAuditEntry({ ...entry, status: ToolCallStatus.FAILED });
+        return `The nickname could not be set: ${error?.message}`;
+    }
+
+    addAuditEntry({ ...entry, status: ToolCallStatus.APPLIED });
+    toastr.info(target === 'user' ? t`You are now called "${nickname}" in this chat` : t`${entry.charName} is now called "${nickname}" in this chat`, t`Nicknames`);
+    return target === 'user'
+        ? `The user's nickname in this chat is now "${nickname}".`
+        : `Your nickname in this chat is now "${nickname}".`;
+}
+
+// ---------------------------------------------------------------------------
+// Registration
+// ---------------------------------------------------------------------------
+
+/**
+ * Registers the nickname function tool if enabled in the settings, otherwise removes it.
+ * Should be called on init and whenever the 'useFunctionTools' setting changes.
+ */
+export function registerFunctionTools() {
+    if (!nicknameSettings.useFunctionTools) {
+        ToolManager.unregisterFunctionTool(SET_NICKNAME_TOOL);
+        return;
+    }
+
+    ToolManager.registerFunctionTool({
+        name: SET_NICKNAME_TOOL,
+        displayName: 'Set Nickname',
+        description: [
+            'Set a nickname for the user or for yourself, used for the rest of this chat.',
+            'Use when a new nickname comes up naturally in the story, e.g. the user asks to be called something else, or you are given a new name.',
+            'Do not use it for one-off pet names in a single message.',
+        ].join(' '),
+        parameters: Object.freeze({
+            $schema: 'http://json-schema.org/draft-04/schema#',
+            type: 'object',
+            properties: {
+                target: {
+                    type: 'string',
+                    enum: ['user', 'char'],
+                    description: 'Who gets the nickname: "user" for the user, "char" for yourself.',
+                },
+                nickname: {
+                    type: 'string',
+                    description: 'The new nickname.',
+                },
+                reason: {
+                    type: 'string',
+                    description: 'Short reason for the change, shown to the user.',
+                },
+            },
+            required: ['target', 'nickname'],
+        }),
+        action: setNicknameAction,
+        formatMessage: (/** @type {{ target: string, nickname: string }} */ args) => args?.target === 'user'
+            ? t`Setting your nickname to "${args?.nickname}"...`
+            : t`Setting the character's nickname to "${args?.nickname}"...`,
+        // Not offered to the model at all if the active character forbids it
+        shouldRegister: () => {
+            const charKey = getActiveCharKey();
+            return !!charKey && getToolPolicy(charKey) !== ToolPolicy.FORBIDDEN;
+        },
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Audit Log UI
+// ---------------------------------------------------------------------------
+
+/**
+ * Creates the table row for an audit log entry.
+ * @param {ToolAuditEntry} entry
+ * @returns {JQuery<HTMLElement>}
+ */
+function createAuditRow(entry) {
+    const status = STATUS_DISPLAY[entry.status] ?? STATUS_DISPLAY[ToolCallStatus.FAILED];
+    const $row = $('<tr>').attr('data-status', entry.status);
+
+    $('<td>').text(new Date(entry.timestamp).toLocaleString()).appendTo($row);
+    $('<td>').text(entry.charName ?? entry.charKey ?? '—').attr('title', entry.chatId ?? '').appendTo($row);
+    $('<td>').text(entry.target === 'user' ? t`User` : t`Character`).appendTo($row);
+    $('<td>').append(
+        $('<span>').text(`${entry.previous ?? '—'} → ${entry.nickname}`),
+        entry.reason ? $('<small class="nickname-tool-audit-reason">').text(entry.reason) : null,
+    ).appendTo($row);
+    $('<td class="nickname-tool-audit-status">').append(
+        $('<i class="fa-solid fa-fw">').addClass(status.icon),
+        $('<span>').text(translate(status.label)),
+    ).appendTo($row);
+
+    return $row;
+}
+
+/**
+ * Opens a popup listing all nickname changes requested by the model, newest first.
+ * @returns {Promise<void>}
+ */
+export async function openToolAuditLog() {
+    const html = await renderExtensionTemplateAsync(`third-party/${EXTENSION_NAME}`, 'templates/tool-audit');
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const container = /** @type {HTMLElement} */ (template.content.firstElementChild);
+    const $container = $(container);
+
+    const render = () => {
+        const log = getToolAuditLog();
+        $container.find('tbody').empty().append([...log].reverse().map(createAuditRow));
+        $container.find('.nickname-tool-audit-table').toggleClass('hidden', !log.length);
+        $container.find('.nickname-tool-audit-empty').toggleClass('hidden', !!log.length);
+        $container.find('.nickname-tool-audit-clear').toggleClass('disabled', !log.length);
+    };
+    render();
+
+    $container.on('click', '.nickname-tool-audit-clear:not(.disabled)', async () => {
+        const confirmed = await Popup.show.confirm(t`Clear Log`, t`Remove all entries from the log? Nicknames set by the model stay as they are.`);
+        if (confirmed !== POPUP_RESULT.AFFIRMATIVE) return;
+        clearToolAuditLog();
+        render();
+    });
+
+    await new Popup(container, POPUP_TYPE.TEXT, null, {
+        okButton: t`Close`,
+        wide: true,
+        allowVerticalScrolling: true,
+    }).show();
+}
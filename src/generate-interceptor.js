@@ -0,0 +1,83 @@
+/**
+ * Generation interceptor of the Nicknames extension.
+ * SillyTavern calls a single interceptor per extension, see `generate_interceptor` in manifest.json.
+ * Features that change the chat sent to the model register their handlers here.
+ */
+
+import { ToolManager } from '../../../../tool-calling.js';
+import { getContext } from '/scripts/st-context.js';
+
+/**
+ * A handler that can change the chat sent to the model.
+ * The chat array is a copy, but replace messages instead of changing them, to never touch the stored chat.
+ * @typedef {(chat: Record<string, any>[], contextSize: number, abort: (immediately: boolean) => void, type: string) => void|Promise<void>} GenerateInterceptorHandler
+ */
+
+/** Name of the global the interceptor is exposed as - must match `generate_interceptor` in manifest.json */
+const INTERCEPTOR_NAME = 'nicknamesGenerateInterceptor';
+
+/** @type {GenerateInterceptorHandler[]} */
+const handlers = [];
+
+/**
+ * Index in the stored chat of each message of the chat being intercepted, by position.
+ * Taken before the handlers run - they replace messages, but keep them at their position.
+ * @type {(number|undefined)[]}
+ */
+let chatIndexes = [];
+
+/**
+ * Gets the index in the stored chat of each message passed to the interceptor.
+ * SillyTavern passes copies of the messages, leaving out system messages (except tool calls, if tools can be used)
+ * and, on swipes, the message being swiped. Their own `index` only counts the messages that are left.
+ * @param {Record<string, any>[]} chat - The chat passed to the interceptor
+ * @param {string} type - Type of the generation
+ * @returns {(number|undefined)[]} The index of each message, by position
+ */
+function getStoredChatIndexes(chat, type) {
+    const storedChat = getContext().chat;
+    const canUseTools = ToolManager.isToolCallingSupported();
+    const indexes = [];
+    storedChat.forEach((message, index) => {
+        if (!message.is_system || (canUseTools && Array.isArray(message.extra?.tool_invocations))) indexes.push(index);
+    });
+    if (type === 'swipe') indexes.pop();
+    if (indexes.length === chat.length) return indexes;
+
+    // Another extension's interceptor added or removed messages - match them by their send date instead
+    const bySendDate = new Map(indexes.map(index => [storedChat[index].send_date, index]));
+    return chat.map(message => bySendDate.get(message?.send_date));
+}
+
+/**
+ * Gets the index in the stored chat of a message of the chat being intercepted.
+ * @param {number} position - Position of the message in the intercepted chat
+ * @returns {number|undefined} The index, or undefined if the message is not in the stored chat
+ */
+export function getInterceptedMessageIndex(position) {
+    return chatIndexes[position];
+}
+
+/**
+ * Adds a handler to the generation interceptor. Handlers run in the order they were added.
+ * @param {GenerateInterceptorHandler} handler
+ */
+export function addGenerateInterceptorHandler(handler) {
+    if (!handlers.includes(handler)) handlers.push(handler);
+}
+
+/**
+ * Exposes the generation interceptor as a global, so SillyTavern can call it.
+ */
+export function registerGenerateInterceptor() {
+    globalThis[INTERCEPTOR_NAME] = async (chat, contextSize, abort, type) => {
+        chatIndexes = getStoredChatIndexes(chat, type);
+        try {
+            for (const handler of handlers) {
+                await handler(chat, contextSize, abort, type);
+            }
+        } finally {
+            chatIndexes = [];
+        }
+    };
+}
@@ -0,0 +1,162 @@
+/**
+ * Inline nickname editors for every member row in the group management panel.
+ * Lets members be given a global, group or chat nickname without opening each character.
+ */
+
+import { eventSource, event_types } from '../../../../../script.js';
+import { openGroupId } from '../../../../../scripts/group-chats.js';
+import { renderExtensionTemplateAsync } from '../../../../extensions.js';
+import { t } from '/scripts/i18n.js';
+import { getContext } from '/scripts/st-context.js';
+import { EXTENSION_NAME } from '../index.js';
+import { ContextLevel, handleNickname, formatNicknamePool } from './nicknames.js';
+import { refreshAllUI } from './ui.js';
+
+/** Levels that can be edited per member, in waterfall order from least to most specific */
+const MEMBER_LEVELS = [ContextLevel.GLOBAL, ContextLevel.GROUP, ContextLevel.CHAT];
+
+/** @type {string|null} Rendered editor template, loaded once on injection */
+let memberEditorHtml = null;
+
+/** @type {MutationObserver|null} */
+let memberListObserver = null;
+
+/**
+ * Whether the group open in the group management panel is the group of the active chat.
+ * Group- and chat-level nicknames are bound to the active chat, so they can only be edited then.
+ * @returns {boolean}
+ */
+function isOpenGroupActive() {
+    return !!openGroupId && openGroupId === getContext().groupId;
+}
+
+/**
+ * Gets the effective nickname of a member, limited to what applies to the open group.
+ * @param {string} charKey
+ * @returns {import('./nicknames.js').NicknameResult}
+ */
+function getMemberNickname(charKey) {
+    if (isOpenGroupActive()) return handleNickname('char', null, null, { key: charKey });
+
+    const globalResult = handleNickname('char', null, ContextLevel.GLOBAL, { key: charKey });
+    return globalResult?.name ? globalResult : { context: ContextLevel.NONE, name: null, pool: [] };
+}
+
+/**
+ * Applies the current nickname state of a member to its editor.
+ * @param {HTMLElement} editorEl - The `.nickname-group-member` element
+ * @param {boolean} [resetLevel=false] - Re-select the level the effective nickname is sourced from
+ */
+function updateMemberEditor(editorEl, resetLevel = false) {
+    const charKey = editorEl.dataset.charKey;
+    const isActive = isOpenGroupActive();
+    const effective = getMemberNickname(charKey);
+
+    const $level = $(editorEl).find('.nickname-group-member-level');
+    $level.find(`option[value="${ContextLevel.GROUP}"], option[value="${ContextLevel.CHAT}"]`).prop('disabled', !isActive);
+    if (resetLevel || $level.find('option:selected').prop('disabled')) {
+        $level.val(MEMBER_LEVELS.includes(effective.context) ? effective.context : ContextLevel.GLOBAL);
+    }
+
+    // Skip if user is actively typing
+    const input = /** @type {HTMLInputElement} */ (editorEl.querySelector('.nickname-group-member-input'));
+    if (document.activeElement !== input) {
+        input.value = formatNicknamePool(handleNickname('char', null, String($level.val()), { key: charKey })?.pool);
+    }
+
+    const hasNickname = effective.context !== ContextLevel.NONE;
+    $(editorEl).find('.nickname-group-member-icon')
+        .toggleClass('active', hasNickname)
+        .attr('data-context', effective.context)
+        .attr('title', hasNickname ? t`Effective nickname: "${effective.name}" (${effective.context})` : t`No nickname set`);
+}
+
+/**
+ * Adds the nickname editor to a single member row, if not present yet.
+ * @param {HTMLElement} memberEl - The `.group_member` element
+ */
+function attachMemberEditor(memberEl) {
+    if (!memberEditorHtml || memberEl.querySelector('.nickname-group-member')) return;
+
+    const chid = Number(memberEl.getAttribute('data-chid'));
+    const charKey = getContext().characters[chid]?.avatar;
+    const nameBlock = memberEl.querySelector('.group_member_name');
+    if (!charKey || !nameBlock) return;
+
+    const $editor = $(memberEditorHtml).attr('data-char-key', charKey);
+    $(nameBlock).append($editor);
+    updateMemberEditor($editor[0], true);
+}
+
+/**
+ * MutationObserver callback — adds editors to newly rendered member rows (e.g. on pagination).
+ * @param {MutationRecord[]} mutations
+ */
+function onMemberListMutation(mutations) {
+    for (const mutation of mutations) {
+        for (const node of mutation.addedNodes) {
+            if (node instanceof HTMLElement && node.matches('.group_member')) attachMemberEditor(node);
+        }
+    }
+}
+
+/**
+ * Refreshes all member editors currently rendered in the group management panel.
+ * @param {object} [options={}]
+ * @param {boolean} [options.resetLevel=false] - Re-select the level the effective nickname is sourced from
+ */
+export function refreshGroupMemberEditors({ resetLevel = false } = {}) {
+    document.querySelectorAll('#rm_group_members .nickname-group-member').forEach(el => {
+        updateMemberEditor(/** @type {HTMLElement} */ (el), resetLevel);
+    });
+}
+
+/**
+ * Injects nickname editors into the group member list, and keeps injecting them as the list is re-rendered.
+ */
+export async function injectGroupMemberEditors() {
+    memberEditorHtml = await renderExtensionTemplateAsync(`third-party/${EXTENSION_NAME}`, 'templates/group-member-nickname');
+
+    const memberList = document.getElementById('rm_group_members');
+    if (!memberList) return;
+
+    memberList.querySelectorAll('.group_member').forEach(el => attachMemberEditor(/** @type {HTMLElement} */ (el)));
+    memberListObserver ??= new MutationObserver(onMemberListMutation);
+    memberListObserver.observe(memberList, { childList: true });
+}
+
+/**
+ * Registers document-level event listeners for the group member editors.
+ */
+export function registerGroupMemberEventListeners() {
+    $(document).on('change', '.nickname-group-member-level', function () {
+        const editorEl = /** @type {HTMLElement} */ ($(this).closest('.nickname-group-member')[0]);
+        updateMemberEditor(editorEl);
+    });
+
+    // Saved on change (blur or Enter) - an empty value removes the nickname from the selected level
+    $(document).on('change', '.nickname-group-member-input', function () {
+        const editorEl = /** @type {HTMLElement} */ ($(this).closest('.nickname-group-member')[0]);
+        const level = String($(editorEl).find('.nickname-group-member-level').val());
+        if (level !== ContextLevel.GLOBAL && !isOpenGroupActive()) {
+            toastr.warning(t`Group and chat nicknames can only be set while the group chat is open`, t`Nicknames`);
+            updateMemberEditor(editorEl);
+            return;
+        }
+
+        const value = String($(this).val()).trim();
+        try {
+            handleNickname('char', value || null, level, { key: editorEl.dataset.charKey, reset: !value });
+            refreshAllUI();
+        } catch (error) {
+            toastr.error(`Error: ${error?.message}`, 'Nicknames');
+        }
+    });
+    $(document).on('keypress', '.nickname-group-member-input', function (e) {
+        if (e.key === 'Enter') $(this).trigger('blur');
+    });
+
+    // Available levels depend on whether the open group is the active chat
+    eventSource.on(event_types.CHAT_CHANGED, () => refreshGroupMemberEditors({ resetLevel: true }));
+    eventSource.on(event_types.GROUP_UPDATED, () => refreshGroupMemberEditors());
+}
@@ -0,0 +1,671 @@
+/**
+ * Import and export of nickname mappings as a versioned JSON bundle.
+ * Covers the global, char-level and group-level mappings stored in extension settings,
+ * and the settings stored per persona and character, like their pool mode.
+ * Chat-level mappings live in the chat files and are not part of the bundle.
+ */
+
+import { saveSettingsDebounced } from '../../../../../script.js';
+import { download, getFileText } from '../../../../utils.js';
+import { renderExtensionTemplateAsync } from '../../../../extensions.js';
+import { Popup, POPUP_TYPE, POPUP_RESULT } from '/scripts/popup.js';
+import { t, translate } from '/scripts/i18n.js';
+import { EXTENSION_NAME } from '../index.js';
+import {
+    getSettings,
+    settingKeys,
+    getPersonaName,
+    getCharName,
+    getGroupName,
+    MappingScope,
+    flattenMappings,
+    writeMappingEntry,
+    trackNicknameChanges,
+    ChangeReason,
+    normalizeNicknamePool,
+    compactNicknamePool,
+    formatNicknamePool,
+    PoolMode,
+    ToolPolicy,
+    VariableScope,
+    RuleOperator,
+    EntitySetting,
+    ENTITY_SETTING_LABELS,
+    flattenEntitySettings,
+    writeEntitySettingEntry,
+    NicknameSlot,
+    withSlotValue,
+} from './nicknames.js';
+
+/** Identifier written into every bundle, so unrelated JSON files are rejected on import */
+export const BUNDLE_FORMAT = 'sillytavern-nicknames';
+
+/** Current schema version of the bundle. Increase when the mapping or settings structure changes. */
+export const BUNDLE_VERSION = 8;
+
+/** @enum {string} How an imported bundle is combined with the existing mappings */
+export const ImportStrategy = {
+    /** Replace all existing mappings with the ones from the bundle */
+    OVERWRITE: 'overwrite',
+    /** Only add mappings that do not exist yet, existing ones stay untouched */
+    KEEP: 'keep',
+    /** Decide per entry which value should be used */
+    MERGE: 'merge',
+};
+
+/** @enum {string} Status of a single entry when comparing a bundle to the current mappings */
+export const DiffStatus = {
+    ADDED: 'added',
+    CHANGED: 'changed',
+    UNCHANGED: 'unchanged',
+    REMOVED: 'removed',
+};
+
+/**
+ * Mappings contained in a bundle. Same structure as `settings.mappings`.
+ * Nicknames are plain strings, pools of them since schema version 4, and objects with named slots since schema version 5.
+ * @typedef {import('./nicknames.js').NicknameValue} NicknameValue
+ * @typedef {import('./nicknames.js').StoredNickname} StoredNickname
+ * @typedef {Object} BundleMappings
+ * @property {{ personas: {[personaKey: string]: StoredNickname}, chars: {[charKey: string]: StoredNickname} }} global
+ * @property {{[charKey: string]: { personas: {[personaKey: string]: StoredNickname} }}} char
+ * @property {{[personaKey: string]: { chars: {[charKey: string]: StoredNickname} }}} persona - Added in schema version 2
+ * @property {{[groupId: string]: { personas: {[personaKey: string]: StoredNickname}, chars: {[charKey: string]: StoredNickname} }}} group - Added in schema version 3
+ */
+
+/**
+ * Settings stored per persona and character contained in a bundle. Same structure as the matching keys of the settings.
+ * @typedef {Object} BundleSettings
+ * @property {{ personas: {[personaKey: string]: PoolMode}, chars: {[charKey: string]: PoolMode} }} [poolModes] - Added in schema version 4
+ * @property {{[charKey: string]: ToolPolicy}} [toolPolicies] - Added in schema version 6
+ * @property {{[charKey: string]: import('./nicknames.js').InjectionOverride}} [injectionOverrides] - Added in schema version 7
+ * @property {{ personas: {[personaKey: string]: import('./nicknames.js').NicknameRule[]}, chars: {[charKey: string]: import('./nicknames.js').NicknameRule[]} }} [nicknameRules] - Added in schema version 8
+ */
+
+/**
+ * Exported nickname bundle
+ * @typedef {Object} NicknameBundle
+ * @property {string} format - Always {@link BUNDLE_FORMAT}
+ * @property {number} version - Schema version of the bundle
+ * @property {string|null} extensionVersion - Extension version that created the bundle
+ * @property {string} exportedAt - ISO timestamp of the export
+ * @property {BundleMappings} mappings
+ * @property {BundleSettings} [settings] - Added in schema version 4
+ */
+
+/**
+ * Validated content of a bundle
+ * @typedef {Object} ImportedBundle
+ * @property {number} version - Schema version of the bundle
+ * @property {BundleMappings} mappings
+ * @property {BundleSettings} settings
+ */
+
+/**
+ * Difference of a single entry between current and imported mappings
+ * @typedef {Object} MappingDiffEntry
+ * @property {string} id
+ * @property {import('./nicknames.js').MappingScope} scope
+ * @property {string} key
+ * @property {string|null} charKey
+ * @property {string|null} personaKey
+ * @property {string|null} groupId
+ * @property {import('./nicknames.js').NicknameSlot} slot
+ * @property {NicknameValue|null} current - Currently stored nickname
+ * @property {NicknameValue|null} incoming - Nickname from the bundle
+ * @property {DiffStatus} status
+ */
+
+/**
+ * Difference of a single entity setting between current and imported settings
+ * @typedef {Object} SettingDiffEntry
+ * @property {string} id
+ * @property {EntitySetting} setting
+ * @property {'user'|'char'} type
+ * @property {string} key
+ * @property {unknown} current - Currently stored setting
+ * @property {unknown} incoming - Setting from the bundle
+ * @property {DiffStatus} status
+ */
+
+/**
+ * How each entity setting is checked on import and shown in the preview
+ * @type {{[setting: string]: { since: number, icon: string, isValid: (value: unknown) => boolean, format: (value: any) => string }}}
+ */
+const ENTITY_SETTING_IMPORT = {
+    [EntitySetting.POOL_MODE]: {
+        since: 4,
+        icon: 'fa-shuffle',
+        isValid: value => Object.values(PoolMode).includes(/** @type {PoolMode} */ (value)),
+        format: value => value,
+    },
+    [EntitySetting.TOOL_POLICY]: {
+        since: 6,
+        icon: 'fa-robot',
+        isValid: value => Object.values(ToolPolicy).includes(/** @type {ToolPolicy} */ (value)),
+        format: value => value,
+    },
+    [EntitySetting.INJECTION_OVERRIDE]: {
+        since: 7,
+        icon: 'fa-note-sticky',
+        isValid: value => isPlainObject(value) && (value.disabled === true || (typeof value.template === 'string' && !!value.template.trim())),
+        format: value => value.disabled ? t`Off` : value.template,
+    },
+    [EntitySetting.RULES]: {
+        since: 8,
+        icon: 'fa-code-branch',
+        isValid: value => Array.isArray(value) && value.every(rule => isPlainObject(rule)
+            && Object.values(VariableScope).includes(/** @type {VariableScope} */ (rule.scope))
+            && Object.values(RuleOperator).includes(/** @type {RuleOperator} */ (rule.operator))
+            && typeof rule.variable === 'string'
+            && typeof rule.value === 'string'
+            && isNicknameValue(rule.nickname)),
+        format: (/** @type {import('./nicknames.js').NicknameRule[]} */ rules) => rules
+            .map(rule => [rule.variable, rule.operator, rule.value].filter(Boolean).join(' ') + ` → ${formatNicknamePool(rule.nickname)}`)
+            .join('; '),
+    },
+};
+
+// ---------------------------------------------------------------------------
+// Bundle Creation
+// ---------------------------------------------------------------------------
+
+/**
+ * Creates an export bundle of all global and char-level nickname mappings, and the settings stored per entity.
+ * @returns {NicknameBundle}
+ */
+export function createExportBundle() {
+    const settings = getSettings();
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        extensionVersion: settings[settingKeys.CUR_VERSION] ?? null,
+        exportedAt: new Date().toISOString(),
+        mappings: {
+            global: structuredClone(settings.mappings.global),
+            char: structuredClone(settings.mappings.char),
+            persona: structuredClone(settings.mappings.persona),
+            group: structuredClone(settings.mappings.group),
+        },
+        settings: {
+            poolModes: structuredClone(settings.poolModes),
+            toolPolicies: structuredClone(settings.toolPolicies),
+            injectionOverrides: structuredClone(settings.injectionOverrides),
+            nicknameRules: structuredClone(settings.nicknameRules),
+        },
+    };
+}
+
+/**
+ * Serializes all mappings into a bundle and offers it as a file download.
+ * @returns {string} The serialized bundle
+ */
+export function exportNicknameBundle() {
+    const json = JSON.stringify(createExportBundle(), null, 4);
+    const date = new Date().toISOString().slice(0, 10);
+    download(json, `nicknames-${date}.json`, 'application/json');
+    return json;
+}
+
+// ---------------------------------------------------------------------------
+// Bundle Validation
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Returns whether a value is a valid stored nickname: a string, or a pool of strings and weighted items.
+ * @param {unknown} value
+ * @returns {value is NicknameValue}
+ */
+function isNicknameValue(value) {
+    if (typeof value === 'string') return true;
+    if (!Array.isArray(value)) return false;
+    return value.every(item => typeof item === 'string'
+        || (isPlainObject(item) && typeof item.name === 'string' && (item.weight === undefined || typeof item.weight === 'number')));
+}
+
+/**
+ * Validates a stored nickname, with or without named slots, and returns it in compact form.
+ * @param {unknown} value
+ * @param {string} key - Key the nickname is stored under, used for error messages
+ * @param {string} path - Path of the map inside the bundle, used for error messages
+ * @returns {StoredNickname|null} The nickname, or null if it is empty
+ */
+function parseStoredNickname(value, key, path) {
+    /** @type {[string, unknown][]} */
+    const slots = isPlainObject(value) ? Object.entries(value) : [[NicknameSlot.DEFAULT, value]];
+
+    /** @type {StoredNickname|null} */
+    let result = null;
+    for (const [slot, slotValue] of slots) {
+        if (!Object.values(NicknameSlot).includes(slot)) throw new Error(t`Invalid bundle: unknown nickname slot '${slot}' for '${key}' in '${path}'.`);
+        if (!isNicknameValue(slotValue)) throw new Error(t`Invalid bundle: nickname for '${key}' in '${path}' must be a string or a list of nicknames.`);
+        result = withSlotValue(result, /** @type {NicknameSlot} */ (slot), compactNicknamePool(normalizeNicknamePool(slotValue)));
+    }
+    return result;
+}
+
+/**
+ * Validates a key → nickname map and returns a trimmed copy of it.
+ * Empty nicknames are dropped, pools are stored in their compact form.
+ * @param {unknown} map
+ * @param {string} path - Path of the map inside the bundle, used for error messages
+ * @returns {{[key: string]: StoredNickname}}
+ */
+function parseNicknameMap(map, path) {
+    if (map === undefined) return {};
+    if (!isPlainObject(map)) throw new Error(t`Invalid bundle: '${path}' must be an object.`);
+
+    /** @type {{[key: string]: StoredNickname}} */
+    const result = {};
+    for (const [key, value] of Object.entries(map)) {
+        const nickname = parseStoredNickname(value, key, path);
+        if (nickname) result[key] = nickname;
+    }
+    return result;
+}
+
+/**
+ * Validates the entity settings of a bundle and returns a copy of them.
+ * @param {unknown} settings
+ * @returns {BundleSettings}
+ */
+function parseEntitySettings(settings) {
+    if (settings === undefined) return {};
+    if (!isPlainObject(settings)) throw new Error(t`Invalid bundle: 'settings' must be an object.`);
+
+    /** @type {BundleSettings} */
+    const result = {};
+    for (const entry of flattenEntitySettings(settings).values()) {
+        if (!ENTITY_SETTING_IMPORT[entry.setting].isValid(entry.value)) {
+            throw new Error(t`Invalid bundle: ${translate(ENTITY_SETTING_LABELS[entry.setting])} for '${entry.key}' is not valid.`);
+        }
+        writeEntitySettingEntry(result, entry, structuredClone(entry.value));
+    }
+    return result;
+}
+
+/**
+ * Validates a parsed bundle and returns its content in normalized form.
+ * @param {unknown} data - Parsed JSON content of a bundle file
+ * @returns {ImportedBundle}
+ * @throws {Error} If the data is not a valid bundle
+ */
+export function parseNicknameBundle(data) {
+    if (!isPlainObject(data) || data.format !== BUNDLE_FORMAT) {
+        throw new Error(t`This file is not a nickname bundle.`);
+    }
+    if (!Number.isInteger(data.version) || Number(data.version) < 1) {
+        throw new Error(t`Invalid bundle: missing or invalid schema version.`);
+    }
+    if (Number(data.version) > BUNDLE_VERSION) {
+        throw new Error(t`This bundle uses schema version ${data.version}, but only up to version ${BUNDLE_VERSION} is supported. Please update the extension.`);
+    }
+
+    const mappings = data.mappings;
+    if (!isPlainObject(mappings)) throw new Error(t`Invalid bundle: 'mappings' must be an object.`);
+
+    const global = mappings.global ?? {};
+    if (!isPlainObject(global)) throw new Error(t`Invalid bundle: 'mappings.global' must be an object.`);
+
+    const char = mappings.char ?? {};
+    if (!isPlainObject(char)) throw new Error(t`Invalid bundle: 'mappings.char' must be an object.`);
+
+    // Version 1 bundles have no persona section, version 2 bundles no group section
+    const persona = mappings.persona ?? {};
+    if (!isPlainObject(persona)) throw new Error(t`Invalid bundle: 'mappings.persona' must be an object.`);
+    const group = mappings.group ?? {};
+    if (!isPlainObject(group)) throw new Error(t`Invalid bundle: 'mappings.group' must be an object.`);
+
+    /** @type {BundleMappings} */
+    const result = {
+        global: {
+            personas: parseNicknameMap(global.personas, 'mappings.global.personas'),
+            chars: parseNicknameMap(global.chars, 'mappings.global.chars'),
+        },
+        char: {},
+        persona: {},
+        group: {},
+    };
+    for (const [charKey, charData] of Object.entries(char)) {
+        if (!isPlainObject(charData)) throw new Error(t`Invalid bundle: 'mappings.char.${charKey}' must be an object.`);
+        const personas = parseNicknameMap(charData.personas, `mappings.char.${charKey}.personas`);
+        if (Object.keys(personas).length) result.char[charKey] = { personas };
+    }
+    for (const [personaKey, personaData] of Object.entries(persona)) {
+        if (!isPlainObject(personaData)) throw new Error(t`Invalid bundle: 'mappings.persona.${personaKey}' must be an object.`);
+        const chars = parseNicknameMap(personaData.chars, `mappings.persona.${personaKey}.chars`);
+        if (Object.keys(chars).length) result.persona[personaKey] = { chars };
+    }
+    for (const [groupId, groupData] of Object.entries(group)) {
+        if (!isPlainObject(groupData)) throw new Error(t`Invalid bundle: 'mappings.group.${groupId}' must be an object.`);
+        const personas = parseNicknameMap(groupData.personas, `mappings.group.${groupId}.personas`);
+        const chars = parseNicknameMap(groupData.chars, `mappings.group.${groupId}.chars`);
+        if (Object.keys(personas).length || Object.keys(chars).length) result.group[groupId] = { personas, chars };
+    }
+
+    // Bundles before version 4 have no settings section
+    return { version: Number(data.version), mappings: result, settings: parseEntitySettings(data.settings) };
+}
+
+// ---------------------------------------------------------------------------
+// Diff & Apply
+// ---------------------------------------------------------------------------
+
+/** Order diff entries are listed in, changes first */
+const DIFF_ORDER = [DiffStatus.CHANGED, DiffStatus.ADDED, DiffStatus.REMOVED, DiffStatus.UNCHANGED];
+
+/**
+ * Compares the imported mappings against the current ones.
+ * @param {BundleMappings} current
+ * @param {BundleMappings} incoming
+ * @returns {MappingDiffEntry[]} All entries, sorted with changes first
+ */
+export function diffMappings(current, incoming) {
+    const currentEntries = flattenMappings(current);
+    const incomingEntries = flattenMappings(incoming);
+
+    /** @type {MappingDiffEntry[]} */
+    const diff = [];
+    for (const entry of incomingEntries.values()) {
+        const existing = currentEntries.get(entry.id);
+        const status = !existing ? DiffStatus.ADDED
+            : formatNicknamePool(existing.value) !== formatNicknamePool(entry.value) ? DiffStatus.CHANGED
+                : DiffStatus.UNCHANGED;
+        diff.push({ ...entry, current: existing?.value ?? null, incoming: entry.value, status });
+    }
+    for (const entry of currentEntries.values()) {
+        if (incomingEntries.has(entry.id)) continue;
+        diff.push({ ...entry, current: entry.value, incoming: null, status: DiffStatus.REMOVED });
+    }
+
+    return diff.sort((a, b) => DIFF_ORDER.indexOf(a.status) - DIFF_ORDER.indexOf(b.status));
+}
+
+/**
+ * Compares the imported entity settings against the current ones.
+ * Settings the bundle's schema version did not include yet are left out, so they are never removed.
+ * @param {BundleSettings} current - The stored settings, or any object in their structure
+ * @param {BundleSettings} incoming
+ * @param {number} [version=BUNDLE_VERSION] - Schema version of the imported bundle
+ * @returns {SettingDiffEntry[]} All entries, sorted with changes first
+ */
+export function diffEntitySettings(current, incoming, version = BUNDLE_VERSION) {
+    /** @param {EntitySetting} setting */
+    const isIncluded = setting => ENTITY_SETTING_IMPORT[setting].since <= version;
+    const currentEntries = flattenEntitySettings(current);
+    const incomingEntries = flattenEntitySettings(incoming);
+
+    /** @type {SettingDiffEntry[]} */
+    const diff = [];
+    for (const { value, ...entry } of incomingEntries.values()) {
+        const existing = currentEntries.get(entry.id);
+        const status = !existing ? DiffStatus.ADDED
+            : JSON.stringify(existing.value) !== JSON.stringify(value) ? DiffStatus.CHANGED
+                : DiffStatus.UNCHANGED;
+        diff.push({ ...entry, current: existing?.value ?? null, incoming: value, status });
+    }
+    for (const { value, ...entry } of currentEntries.values()) {
+        if (incomingEntries.has(entry.id) || !isIncluded(entry.setting)) continue;
+        diff.push({ ...entry, current: value, incoming: null, status: DiffStatus.REMOVED });
+    }
+
+    return diff.sort((a, b) => DIFF_ORDER.indexOf(a.status) - DIFF_ORDER.indexOf(b.status));
+}
+
+/**
+ * Returns whether the imported value of a diff entry will be applied with the given strategy.
+ * For {@link ImportStrategy.MERGE}, the entry must be part of the selected ids.
+ * @param {MappingDiffEntry|SettingDiffEntry} entry
+ * @param {ImportStrategy} strategy
+ * @param {Set<string>} [selectedIds]
+ * @returns {boolean}
+ */
+export function isEntryApplied(entry, strategy, selectedIds = new Set()) {
+    switch (strategy) {
+        case ImportStrategy.OVERWRITE: return entry.status !== DiffStatus.UNCHANGED;
+        case ImportStrategy.KEEP: return entry.status === DiffStatus.ADDED;
+        case ImportStrategy.MERGE: return (entry.status === DiffStatus.ADDED || entry.status === DiffStatus.CHANGED) && selectedIds.has(entry.id);
+        default: throw new Error(`Unknown import strategy: ${strategy}`);
+    }
+}
+
+/**
+ * Applies imported mappings to the extension settings with the given strategy.
+ * @param {BundleMappings} incoming - Validated mappings from {@link parseNicknameBundle}
+ * @param {ImportStrategy} strategy
+ * @param {object} [options={}]
+ * @param {Set<string>} [options.selectedIds] - Ids of entries to apply, used for {@link ImportStrategy.MERGE}
+ * @returns {number} The number of changed entries
+ */
+export function applyImportedMappings(incoming, strategy, { selectedIds = new Set() } = {}) {
+    const settings = getSettings();
+    const diff = diffMappings(settings.mappings, incoming);
+
+    let changed = 0;
+    trackNicknameChanges(ChangeReason.IMPORT, () => {
+        for (const entry of diff) {
+            if (!isEntryApplied(entry, strategy, selectedIds)) continue;
+            writeMappingEntry(settings.mappings, entry, entry.incoming);
+            changed++;
+        }
+    });
+
+    if (changed) saveSettingsDebounced();
+    return changed;
+}
+
+/**
+ * Applies imported entity settings to the extension settings with the given strategy.
+ * @param {ImportedBundle} incoming - Validated bundle from {@link parseNicknameBundle}
+ * @param {ImportStrategy} strategy
+ * @param {object} [options={}]
+ * @param {Set<string>} [options.selectedIds] - Ids of entries to apply, used for {@link ImportStrategy.MERGE}
+ * @returns {number} The number of changed entries
+ */
+export function applyImportedSettings(incoming, strategy, { selectedIds = new Set() } = {}) {
+    const settings = getSettings();
+    const diff = diffEntitySettings(settings, incoming.settings, incoming.version);
+
+    let changed = 0;
+    for (const entry of diff) {
+        if (!isEntryApplied(entry, strategy, selectedIds)) continue;
+        writeEntitySettingEntry(settings, entry, structuredClone(entry.incoming));
+        changed++;
+    }
+
+    if (changed) saveSettingsDebounced();
+    return changed;
+}
+
+// ---------------------------------------------------------------------------
+// Import UI
+// ---------------------------------------------------------------------------
+
+/**
+ * Gets a readable label for the entity of a mapping entry.
+ * @param {MappingDiffEntry} entry
+ * @returns {string}
+ */
+function getEntryLabel(entry) {
+    const name = [MappingScope.GLOBAL_CHAR, MappingScope.PERSONA_CHAR, MappingScope.GROUP_CHAR].includes(entry.scope)
+        ? getCharName(entry.key)
+        : getPersonaName(entry.key);
+    let label = name ? `${name} (${entry.key})` : entry.key;
+    if (entry.slot !== NicknameSlot.DEFAULT) {
+        label += ` [${entry.slot}]`;
+    }
+    if (entry.scope === MappingScope.CHAR_PERSONA) {
+        return `${label} @ ${getCharName(entry.charKey) ?? entry.charKey}`;
+    }
+    if (entry.scope === MappingScope.PERSONA_CHAR) {
+        return `${label} @ ${getPersonaName(entry.personaKey) ?? entry.personaKey}`;
+    }
+    if (entry.groupId) {
+        return `${label} @ ${getGroupName(entry.groupId) ?? entry.groupId}`;
+    }
+    return label;
+}
+
+/** @type {{[scope: string]: { icon: string, title: string }}} */
+const SCOPE_DISPLAY = {
+    [MappingScope.GLOBAL_PERSONA]: { icon: 'fa-globe', title: 'Global persona nickname' },
+    [MappingScope.GLOBAL_CHAR]: { icon: 'fa-globe', title: 'Global character nickname' },
+    [MappingScope.CHAR_PERSONA]: { icon: 'fa-user', title: 'Persona nickname for a character' },
+    [MappingScope.PERSONA_CHAR]: { icon: 'fa-user', title: 'Character nickname for a persona' },
+    [MappingScope.GROUP_PERSONA]: { icon: 'fa-users', title: 'Persona nickname for a group' },
+    [MappingScope.GROUP_CHAR]: { icon: 'fa-users', title: 'Member nickname for a group' },
+};
+
+/**
+ * Gets how a diff entry is shown in the preview table.
+ * @param {MappingDiffEntry|SettingDiffEntry} entry
+ * @returns {{ icon: string, title: string, label: string, format: (value: any) => string }}
+ */
+function getEntryDisplay(entry) {
+    if (!('setting' in entry)) {
+        return { ...SCOPE_DISPLAY[entry.scope], label: getEntryLabel(entry), format: formatNicknamePool };
+    }
+
+    const name = entry.type === 'char' ? getCharName(entry.key) : getPersonaName(entry.key);
+    const title = translate(ENTITY_SETTING_LABELS[entry.setting]);
+    const { icon, format } = ENTITY_SETTING_IMPORT[entry.setting];
+    return { icon, title, label: `${name ? `${name} (${entry.key})` : entry.key} [${title}]`, format };
+}
+
+/**
+ * Renders the diff rows into the preview table.
+ * @param {HTMLElement} tbody
+ * @param {(MappingDiffEntry|SettingDiffEntry)[]} diff
+ */
+function renderDiffRows(tbody, diff) {
+    for (const entry of diff) {
+        const $row = $('<tr>').attr('data-id', entry.id).attr('data-status', entry.status);
+        const canSelect = entry.status === DiffStatus.ADDED || entry.status === DiffStatus.CHANGED;
+        const { icon, title, label, format } = getEntryDisplay(entry);
+
+        $('<td>').append(
+            $('<input type="checkbox" class="nickname-import-apply">').prop('hidden', !canSelect),
+        ).appendTo($row);
+        $('<td>').append(
+            $('<i class="fa-solid fa-fw">').addClass(icon).attr('title', title),
+        ).appendTo($row);
+        $('<td class="nickname-import-entity">').text(label).appendTo($row);
+        $('<td class="nickname-import-current">').text((entry.current !== null && format(entry.current)) || '—').appendTo($row);
+        $('<td class="nickname-import-incoming">').text((entry.incoming !== null && format(entry.incoming)) || '—').appendTo($row);
+
+        $row.appendTo(tbody);
+    }
+}
+
+/**
+ * Updates the checkbox states and row highlighting for the selected strategy.
+ * @param {HTMLElement} container
+ * @param {(MappingDiffEntry|SettingDiffEntry)[]} diff
+ * @param {ImportStrategy} strategy
+ */
+function updatePreviewState(container, diff, strategy) {
+    const isMerge = strategy === ImportStrategy.MERGE;
+    for (const entry of diff) {
+        const row = container.querySelector(`tr[data-id="${CSS.escape(entry.id)}"]`);
+        if (!row) continue;
+
+        const checkbox = /** @type {HTMLInputElement} */ (row.querySelector('.nickname-import-apply'));
+        checkbox.disabled = !isMerge;
+        if (!isMerge) checkbox.checked = isEntryApplied(entry, strategy);
+
+        const selected = new Set(checkbox.checked ? [entry.id] : []);
+        row.classList.toggle('applied', isEntryApplied(entry, strategy, selected));
+    }
+
+    const hints = {
+        [ImportStrategy.OVERWRITE]: t`All current mappings and settings are replaced. Anything missing from the file is removed.`,
+        [ImportStrategy.KEEP]: t`Only new mappings and settings are added. Existing ones stay untouched.`,
+        [ImportStrategy.MERGE]: t`Choose per entry which imported nicknames and settings should be applied.`,
+    };
+    $(container).find('.nickname-import-strategy-hint').text(hints[strategy]);
+}
+
+/**
+ * Shows the import preview popup for a validated bundle and applies it if confirmed.
+ * @param {ImportedBundle} incoming
+ * @returns {Promise<number|null>} The number of changed entries, or null if cancelled
+ */
+async function showImportPreview(incoming) {
+    const settings = getSettings();
+    const diff = [
+        ...diffMappings(settings.mappings, incoming.mappings),
+        ...diffEntitySettings(settings, incoming.settings, incoming.version),
+    ];
+    const counts = Object.fromEntries(Object.values(DiffStatus).map(status => [status, diff.filter(e => e.status === status).length]));
+
+    const html = await renderExtensionTemplateAsync(`third-party/${EXTENSION_NAME}`, 'templates/import-preview');
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const container = /** @type {HTMLElement} */ (template.content.firstElementChild);
+
+    $(container).find('.nickname-import-summary').text(t`${counts.added} new, ${counts.changed} changed, ${counts.unchanged} unchanged, ${counts.removed} only in current mappings and settings.`);
+    renderDiffRows(container.querySelector('tbody'), diff);
+
+    let strategy = ImportStrategy.MERGE;
+    $(container).find(`input[name="nickname_import_strategy"][value="${strategy}"]`).prop('checked', true);
+    $(container).find('.nickname-import-apply').prop('checked', true);
+    updatePreviewState(container, diff, strategy);
+
+    $(container).on('change', 'input[name="nickname_import_strategy"]', function () {
+        strategy = /** @type {ImportStrategy} */ ($(this).val());
+        if (strategy === ImportStrategy.MERGE) $(container).find('.nickname-import-apply').prop('checked', true);
+        updatePreviewState(container, diff, strategy);
+    });
+    $(container).on('change', '.nickname-import-apply', () => updatePreviewState(container, diff, strategy));
+
+    const popup = new Popup(container, POPUP_TYPE.CONFIRM, null, {
+        okButton: t`Import`,
+        cancelButton: t`Cancel`,
+        wide: true,
+        allowVerticalScrolling: true,
+    });
+    const result = await popup.show();
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return null;
+
+    const selectedIds = new Set($(container).find('.nickname-import-apply:checked').closest('tr').map((_, row) => row.dataset.id).get());
+    return applyImportedMappings(incoming.mappings, strategy, { selectedIds })
+        + applyImportedSettings(incoming, strategy, { selectedIds });
+}
+
+/**
+ * Reads a bundle file, validates it and lets the user review and apply it.
+ * Errors are reported via toast.
+ * @param {File} file
+ * @returns {Promise<boolean>} Whether any mapping was changed
+ */
+export async function importNicknameBundleFromFile(file) {
+    /** @type {ImportedBundle} */
+    let incoming;
+    try {
+        const text = await getFileText(file);
+        incoming = parseNicknameBundle(JSON.parse(text));
+    } catch (error) {
+        console.error('[Nicknames] Import failed', error);
+        const message = error instanceof SyntaxError ? t`The file does not contain valid JSON.` : error.message;
+        toastr.error(message, t`Nicknames Import`);
+        return false;
+    }
+
+    const changed = await showImportPreview(incoming);
+    if (changed === null) return false;
+
+    if (changed) {
+        toastr.success(t`Imported ${changed} nickname changes.`, t`Nicknames Import`);
+    } else {
+        toastr.info(t`Nothing to import, all nicknames are already up to date.`, t`Nicknames Import`);
+    }
+    return changed > 0;
+}
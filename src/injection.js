@@ -0,0 +1,48 @@
+/**
+ * Nickname note injected into the prompt.
+ * Tells the model which nicknames are in use, so it can use them without the card mentioning them.
+ * The template is a regular prompt text - SillyTavern substitutes the nickname macros when building the prompt.
+ */
+
+import { eventSource, event_types, extension_prompt_types, setExtensionPrompt } from '../../../../../script.js';
+import { getContext } from '/scripts/st-context.js';
+import { EXTENSION_KEY } from '../index.js';
+import { ContextLevel, DEFAULT_INJECTION_TEMPLATE, ensureSettings, getInjectionOverride, handleNickname, nicknameSettings } from './nicknames.js';
+
+/**
+ * Gets the nickname note for the active chat, with the macros left in place.
+ * @returns {string} The template, or an empty string if no note should be injected
+ */
+export function getInjectionTemplate() {
+    if (!nicknameSettings.useForInjection) return '';
+
+    const context = getContext();
+    const charKey = context.characters[context.characterId]?.avatar ?? null;
+    const override = charKey ? getInjectionOverride(charKey) : null;
+    if (override?.disabled) return '';
+
+    // Only worth mentioning if there is a nickname to mention
+    const hasNickname = [handleNickname('user'), charKey ? handleNickname('char') : null]
+        .some(result => result && result.context !== ContextLevel.NONE);
+    if (!hasNickname) return '';
+
+    return (override?.template || ensureSettings().injection.template || DEFAULT_INJECTION_TEMPLATE).trim();
+}
+
+/**
+ * Sets (or clears) the nickname note extension prompt for the active chat.
+ */
+export function updateNicknameInjection() {
+    const { position, depth, role } = ensureSettings().injection;
+    const template = getInjectionTemplate();
+    setExtensionPrompt(EXTENSION_KEY, template, template ? position : extension_prompt_types.NONE, depth, false, role);
+}
+
+/**
+ * Registers the nickname note hooks.
+ * The note is rebuilt before every generation, so nickname changes always apply to the next prompt.
+ */
+export function registerNicknameInjection() {
+    eventSource.on(event_types.GENERATION_AFTER_COMMANDS, updateNicknameInjection);
+    eventSource.on(event_types.CHAT_CHANGED, updateNicknameInjection);
+}
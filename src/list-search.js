@@ -0,0 +1,198 @@
+/**
+ * Nicknames in the search, sort and filters of the character and persona lists.
+ * SillyTavern only searches and sorts by the original names, so a nickname shown in the list can't be found by typing it.
+ * The list filters of SillyTavern are extended here: the searches also match nicknames, and the character list gets
+ * a "by nickname" sort order and a filter for characters with or without a nickname.
+ */
+
+import { entitiesFilter, printCharactersDebounced, saveSettingsDebounced, user_avatar } from '../../../../../script.js';
+import { FILTER_STATES, FILTER_TYPES, isFilterState } from '../../../../filters.js';
+import { getUserAvatars, personasFilter } from '../../../../personas.js';
+import { power_user } from '../../../../power-user.js';
+import { includesIgnoreCaseAndAccents } from '../../../../utils.js';
+import { t } from '/scripts/i18n.js';
+import { ContextLevel, MAPPING_SCOPE_LEVELS, flattenMappings, getNicknameForCharAvatar, nicknameSettings, normalizeNicknamePool } from './nicknames.js';
+
+/** Key of the "has nickname" filter in the character list filters */
+const NICKNAME_FILTER = 'nicknames_has_nickname';
+
+/** Sort field of the "by nickname" sort order - not a character field, so SillyTavern keeps the order sorted here */
+const NICKNAME_SORT_FIELD = 'nickname';
+
+/** Search score of entries only found by nickname - fuzzy search scores range from 0 (exact) to 1 */
+const NICKNAME_SEARCH_SCORE = 0.1;
+
+/** Order the "has nickname" filter cycles through on click, same as the favorites filter */
+const FILTER_STATE_CYCLE = [FILTER_STATES.UNDEFINED, FILTER_STATES.SELECTED, FILTER_STATES.EXCLUDED];
+
+/**
+ * Gets the avatar keys of the personas or characters with a nickname matching a search term.
+ * Matches global nicknames of all slots, and character-level ones if enabled.
+ * @param {'user'|'char'} type
+ * @param {string} term
+ * @returns {Set<string>}
+ */
+function findNicknameMatches(type, term) {
+    const levels = nicknameSettings.searchCharLevelNicknames ? [ContextLevel.GLOBAL, ContextLevel.CHAR] : [ContextLevel.GLOBAL];
+
+    /** @type {Set<string>} */
+    const keys = new Set();
+    for (const entry of flattenMappings().values()) {
+        const { type: entryType, context } = MAPPING_SCOPE_LEVELS[entry.scope];
+        if (entryType !== type || !levels.includes(context) || keys.has(entry.key)) continue;
+        if (normalizeNicknamePool(entry.value).some(item => includesIgnoreCaseAndAccents(item.name, term))) keys.add(entry.key);
+    }
+    return keys;
+}
+
+/**
+ * Extends a search filter function to also keep the entries whose nickname matches the search term.
+ * Entries only found by nickname are scored as close matches, so they are shown near the top when sorting by search.
+ * @param {import('../../../../filters.js').FilterHelper} filterHelper
+ * @param {string} filterType - The search filter to extend
+ * @param {'user'|'char'} type - Whether the list holds personas or characters
+ * @param {(entry: any) => string|null} getKey - Gets the avatar key of a list entry, or null if it has no nicknames
+ * @param {(entry: any) => string|number} getScoreId - Gets the id an entry's search score is cached with
+ */
+function extendSearchFilter(filterHelper, filterType, type, getKey, getScoreId) {
+    const search = filterHelper.filterFunctions[filterType];
+    filterHelper.filterFunctions[filterType] = (/** @type {any[]} */ data) => {
+        const result = search(data);
+        const term = filterHelper.getFilterData(filterType);
+        if (!nicknameSettings.useForListSearch || !term) return result;
+
+        const matchedKeys = findNicknameMatches(type, term);
+        const found = new Set(result);
+        const added = data.filter(entry => !found.has(entry) && matchedKeys.has(getKey(entry)));
+        if (!added.length) return result;
+
+        filterHelper.cacheScores(filterType, new Map(added.map(entry => [getScoreId(entry), NICKNAME_SEARCH_SCORE])));
+        const kept = new Set([...result, ...added]);
+        return data.filter(entry => kept.has(entry));
+    };
+}
+
+/**
+ * Gets the name a character list entry is sorted by with the "by nickname" sort order.
+ * @param {any} entity - Character list entity
+ * @returns {string}
+ */
+function getSortName(entity) {
+    if (entity.type !== 'character') return String(entity.item?.name ?? '');
+    const result = getNicknameForCharAvatar(entity.item.avatar, user_avatar);
+    return result.context !== ContextLevel.NONE && result.name ? result.name : String(entity.item.name ?? '');
+}
+
+/**
+ * Whether a character list entity is a character with a nickname, as shown in the list.
+ * @param {any} entity - Character list entity
+ * @returns {boolean}
+ */
+function hasListNickname(entity) {
+    return entity.type === 'character' && getNicknameForCharAvatar(entity.item.avatar, user_avatar).context !== ContextLevel.NONE;
+}
+
+/**
+ * Character list filter function - applies the "has nickname" filter and the "by nickname" sort order.
+ * The sort order is applied here, as SillyTavern keeps the order of entries it has no sort field value for.
+ * @param {any[]} data - Character list entities
+ * @returns {any[]}
+ */
+function nicknameListFilter(data) {
+    if (!nicknameSettings.useForListSearch) return data;
+
+    const state = entitiesFilter.getFilterData(NICKNAME_FILTER);
+    const result = entitiesFilter.filterDataByState(data, state, hasListNickname, { includeFolders: true });
+
+    if (power_user.sort_field === NICKNAME_SORT_FIELD) {
+        const names = new Map(result.map(entity => [entity, getSortName(entity)]));
+        const direction = power_user.sort_order === 'desc' ? -1 : 1;
+        result.sort((a, b) => direction * names.get(a).localeCompare(names.get(b)));
+    }
+    return result;
+}
+
+/**
+ * Updates the "has nickname" filter button to its current state.
+ */
+function updateFilterButton() {
+    const state = entitiesFilter.getFilterData(NICKNAME_FILTER);
+    const $button = $('#nicknames_list_filter');
+    for (const filterState of FILTER_STATE_CYCLE) {
+        $button.toggleClass(filterState.class, isFilterState(state, filterState));
+    }
+    $button.attr('title', isFilterState(state, FILTER_STATES.SELECTED)
+        ? t`Showing characters with a nickname`
+        : isFilterState(state, FILTER_STATES.EXCLUDED)
+            ? t`Showing characters without a nickname`
+            : t`Filter by nickname`);
+}
+
+/**
+ * Shows or hides the nickname sort orders and filter button.
+ */
+function updateListSearchControls() {
+    const enabled = nicknameSettings.useForListSearch;
+    $('#character_sort_order option.nicknames-sort-option').prop('hidden', !enabled);
+    $('#nicknames_list_filter').toggle(enabled);
+}
+
+/**
+ * Shows or hides the nickname sort orders and filter, and re-renders the lists.
+ * Falls back to the A-Z sort order if sorting by nickname is no longer available.
+ */
+export function refreshListSearch() {
+    updateListSearchControls();
+
+    if (!nicknameSettings.useForListSearch) {
+        entitiesFilter.setFilterData(NICKNAME_FILTER, FILTER_STATES.UNDEFINED.key, true);
+        updateFilterButton();
+        if (power_user.sort_field === NICKNAME_SORT_FIELD) {
+            power_user.sort_field = 'name';
+            power_user.sort_order = 'asc';
+            power_user.sort_rule = undefined;
+            $('#character_sort_order option[data-field="name"][data-order="asc"]').prop('selected', true);
+            saveSettingsDebounced();
+        }
+    }
+
+    printCharactersDebounced();
+    getUserAvatars(true);
+}
+
+/**
+ * Adds the nickname sort orders and filter button to the character list, and extends the list searches.
+ */
+export function injectListSearch() {
+    extendSearchFilter(entitiesFilter, FILTER_TYPES.SEARCH, 'char',
+        entity => entity.type === 'character' ? entity.item?.avatar : null,
+        entity => `${entity.type}.${entity.id}`);
+    extendSearchFilter(personasFilter, FILTER_TYPES.PERSONA_SEARCH, 'user', avatarId => avatarId, avatarId => avatarId);
+
+    entitiesFilter.filterData[NICKNAME_FILTER] = FILTER_STATES.UNDEFINED.key;
+    entitiesFilter.filterFunctions[NICKNAME_FILTER] = nicknameListFilter;
+
+    const $sortOrder = $('#character_sort_order');
+    for (const [order, label] of [['asc', t`Nickname A-Z`], ['desc', t`Nickname Z-A`]]) {
+        $('<option>')
+            .addClass('nicknames-sort-option')
+            .attr({ 'data-field': NICKNAME_SORT_FIELD, 'data-order': order })
+            .text(label)
+            .prop('selected', power_user.sort_field === NICKNAME_SORT_FIELD && power_user.sort_order === order)
+            .appendTo($sortOrder);
+    }
+
+    $('<div id="nicknames_list_filter" class="menu_button fa-solid fa-signature nicknames-list-filter"></div>')
+        .on('click', () => {
+            const state = entitiesFilter.getFilterData(NICKNAME_FILTER);
+            const index = FILTER_STATE_CYCLE.findIndex(filterState => isFilterState(state, filterState));
+            entitiesFilter.setFilterData(NICKNAME_FILTER, FILTER_STATE_CYCLE[(index + 1) % FILTER_STATE_CYCLE.length].key);
+            updateFilterButton();
+        })
+        .appendTo('#rm_buttons_container');
+    updateFilterButton();
+    updateListSearchControls();
+
+    // The list was sorted before the nickname sort order was known
+    if (power_user.sort_field === NICKNAME_SORT_FIELD) printCharactersDebounced();
+}
@@ -8,9 +8,9 @@
 import { MacroEnvBuilder, env_provider_order } from '../../../../../scripts/macros/engine/MacroEnvBuilder.js';
 import { MacroRegistry, MacroCategory } from '../../../../../scripts/macros/engine/MacroRegistry.js';
 import { groups, selected_group } from '../../../../../scripts/group-chats.js';
-import { characters, name2 } from '../../../../../script.js';
+import { characters, name2, user_avatar } from '../../../../../script.js';
 import { getContext } from '/scripts/st-context.js';
-import { getUserNickname, getCharNickname, getNicknameForCharAvatar, nicknameSettings, ContextLevel } from './nicknames.js';
+import { getUserNickname, getCharNickname, getNicknameForCharAvatar, handleNickname, nicknameSettings, ContextLevel, NicknameSlot, pickFromPool, PoolMode } from './nicknames.js';
 
 let macrosRegistered = false;
 
@@ -46,8 +46,20 @@ export function syncCoreMacroDescriptions() {
  * Registers the extension's own nickname macros:
  * - {{userFull}} / {{charFull}}       — always the original name, ignoring override settings
  * - {{userNickname}} / {{charNickname}} — nickname if set, otherwise the original name
+ * - {{userNicknameRandom}} / {{charNicknameRandom}} — a fresh weighted pick from the nickname pool on every evaluation
+ *
+ * The nickname macros take an optional slot argument, e.g. {{charNickname::formal}}.
  */
 function registerNicknameMacros() {
+    /** @type {import('../../../../../scripts/macros/engine/MacroRegistry.js').MacroUnnamedArgDef[]} */
+    const slotArgs = [{
+        name: 'slot',
+        optional: true,
+        defaultValue: NicknameSlot.DEFAULT,
+        sampleValue: NicknameSlot.FORMAL,
+        description: `Named nickname slot: ${Object.values(NicknameSlot).join(', ')}. Falls back to the regular nickname if the slot is not set.`,
+    }];
+
     MacroRegistry.registerMacro('userFull', {
         category: MacroCategory.NAMES,
         description: 'Your current Persona username, always the original full name regardless of nickname settings.',
@@ -64,17 +76,67 @@ function registerNicknameMacros() {
 
     MacroRegistry.registerMacro('userNickname', {
         category: MacroCategory.NAMES,
+        unnamedArgs: slotArgs,
         description: 'Your current Persona nickname if one is set, otherwise falls back to the original username.',
         returns: 'Persona nickname, or original username if no nickname is set.',
-        handler: () => getUserNickname().name ?? '',
+        exampleUsage: ['{{userNickname}}', '{{userNickname::formal}}'],
+        handler: ({ unnamedArgs: [slot], warn }) => getSlotNickname('user', slot, warn).name ?? '',
     });
 
     MacroRegistry.registerMacro('charNickname', {
         category: MacroCategory.NAMES,
+        unnamedArgs: slotArgs,
         description: 'The character\'s nickname if one is set, otherwise falls back to the original character name.',
         returns: 'Character nickname, or original name if no nickname is set.',
-        handler: () => getCharNickname().name ?? '',
+        exampleUsage: ['{{charNickname}}', '{{charNickname::pet}}'],
+        handler: ({ unnamedArgs: [slot], warn }) => getSlotNickname('char', slot, warn).name ?? '',
+    });
+
+    MacroRegistry.registerMacro('userNicknameRandom', {
+        category: MacroCategory.NAMES,
+        description: 'A random nickname from your current Persona\'s nickname pool, picked anew every time, regardless of the pool mode. Falls back like {{userNickname}}.',
+        returns: 'Random persona nickname from the pool, or the regular nickname if no pool is set.',
+        unnamedArgs: slotArgs,
+        handler: ({ unnamedArgs: [slot], warn }) => pickRandomNickname(getSlotNickname('user', slot, warn)),
     });
+
+    MacroRegistry.registerMacro('charNicknameRandom', {
+        category: MacroCategory.NAMES,
+        description: 'A random nickname from the character\'s nickname pool, picked anew every time, regardless of the pool mode. Falls back like {{charNickname}}.',
+        returns: 'Random character nickname from the pool, or the regular nickname if no pool is set.',
+        unnamedArgs: slotArgs,
+        handler: ({ unnamedArgs: [slot], warn }) => pickRandomNickname(getSlotNickname('char', slot, warn)),
+    });
+}
+
+/**
+ * Resolves the effective nickname of a slot, falling back to the regular nickname if the slot is not set at any level.
+ * @param {'user'|'char'} type
+ * @param {string} [slot] - Slot name from the macro argument
+ * @param {(message: string) => void} warn - Logs a macro runtime warning
+ * @returns {import('./nicknames.js').NicknameResult}
+ */
+function getSlotNickname(type, slot, warn) {
+    const fallback = () => type === 'user' ? getUserNickname() : getCharNickname();
+
+    const slotName = slot?.trim().toLowerCase();
+    if (!slotName || slotName === NicknameSlot.DEFAULT) return fallback();
+    if (!Object.values(NicknameSlot).includes(slotName)) {
+        warn(`Unknown nickname slot "${slot}", using the regular nickname.`);
+        return fallback();
+    }
+
+    const result = handleNickname(type, null, null, { slot: /** @type {NicknameSlot} */ (slotName) });
+    return result.context !== ContextLevel.NONE ? result : fallback();
+}
+
+/**
+ * Picks a random nickname from the pool of a nickname result, respecting the pool weights.
+ * @param {import('./nicknames.js').NicknameResult} result
+ * @returns {string}
+ */
+function pickRandomNickname(result) {
+    return pickFromPool(result.pool, PoolMode.WEIGHTED, { seed: String(Math.random()) }) ?? result.name ?? '';
 }
 
 /**
@@ -152,8 +214,8 @@ function getGroupValue(ctx, { includeMuted = false, filterOutChar = false, inclu
             .filter(c => !!c && typeof c.name === 'string')
             .filter(c => !filterOutChar || c.name !== name2)
             .map(c => {
-                // Apply nickname if available, otherwise use original name
-                const nicknameResult = getNicknameForCharAvatar(c.avatar);
+                // Apply nickname if available (chat, group, persona-specific or global), otherwise use original name
+                const nicknameResult = getNicknameForCharAvatar(c.avatar, user_avatar);
                 return nicknameResult.name && nicknameResult.context !== ContextLevel.NONE
                     ? nicknameResult.name
                     : c.name;
@@ -0,0 +1,279 @@
+/**
+ * Nickname manager popup for the Nicknames extension.
+ * Lists every stored global, char-level and group-level mapping across all characters, personas and groups,
+ * with search, sorting, inline editing and deletion.
+ */
+
+import { renderExtensionTemplateAsync } from '../../../../extensions.js';
+import { Popup, POPUP_TYPE } from '/scripts/popup.js';
+import { t, translate } from '/scripts/i18n.js';
+import { getContext } from '/scripts/st-context.js';
+import { EXTENSION_NAME } from '../index.js';
+import { MappingScope, NicknameSlot, flattenMappings, setMappingEntry, getPersonaName, getCharName, formatNicknamePool, parseNicknamePool } from './nicknames.js';
+import { refreshAllUI } from './ui.js';
+
+/**
+ * A row in the manager table
+ * @typedef {Object} ManagerRow
+ * @property {import('./nicknames.js').MappingEntry} entry - The mapping entry shown in this row
+ * @property {string} text - The nickname in its editable text form, with pools separated by `|`
+ * @property {string|null} name - Original name of the entity the nickname belongs to, null if it doesn't exist
+ * @property {string} avatarUrl - Thumbnail URL of the entity
+ * @property {string|null} pairKey - Key of the character, persona or group a char- or group-level mapping is paired with
+ * @property {string|null} pairName - Name of the paired character, persona or group
+ * @property {string|null} pairAvatarUrl - Thumbnail URL of the paired character, persona or group
+ */
+
+/** @typedef {'scope'|'name'|'pair'|'nickname'} ManagerSortKey */
+
+/** @type {{[scope: string]: { icon: string, label: string, order: number }}} */
+const SCOPE_DISPLAY = {
+    [MappingScope.GLOBAL_PERSONA]: { icon: 'fa-globe', label: 'Global (Persona)', order: 0 },
+    [MappingScope.GLOBAL_CHAR]: { icon: 'fa-globe', label: 'Global (Character)', order: 1 },
+    [MappingScope.CHAR_PERSONA]: { icon: 'fa-user', label: 'Character (Persona)', order: 2 },
+    [MappingScope.PERSONA_CHAR]: { icon: 'fa-user', label: 'Persona (Character)', order: 3 },
+    [MappingScope.GROUP_PERSONA]: { icon: 'fa-users', label: 'Group (Persona)', order: 4 },
+    [MappingScope.GROUP_CHAR]: { icon: 'fa-users', label: 'Group (Character)', order: 5 },
+};
+
+/** Avatar shown for groups without a custom avatar, same as SillyTavern's system avatar */
+const DEFAULT_GROUP_AVATAR = 'img/five.png';
+
+// ---------------------------------------------------------------------------
+// Data
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds the manager rows from all stored mappings.
+ * @returns {ManagerRow[]}
+ */
+function buildRows() {
+    const context = getContext();
+    return [...flattenMappings().values()].map(entry => {
+        const isChar = [MappingScope.GLOBAL_CHAR, MappingScope.PERSONA_CHAR, MappingScope.GROUP_CHAR].includes(entry.scope);
+        const row = {
+            entry,
+            text: formatNicknamePool(entry.value),
+            name: isChar ? getCharName(entry.key) : getPersonaName(entry.key),
+            avatarUrl: context.getThumbnailUrl(isChar ? 'avatar' : 'persona', entry.key),
+            pairKey: null,
+            pairName: null,
+            pairAvatarUrl: null,
+        };
+        if (entry.charKey) {
+            Object.assign(row, { pairKey: entry.charKey, pairName: getCharName(entry.charKey), pairAvatarUrl: context.getThumbnailUrl('avatar', entry.charKey) });
+        } else if (entry.personaKey) {
+            Object.assign(row, { pairKey: entry.personaKey, pairName: getPersonaName(entry.personaKey), pairAvatarUrl: context.getThumbnailUrl('persona', entry.personaKey) });
+        } else if (entry.groupId) {
+            const group = context.groups.find(g => g.id === entry.groupId);
+            Object.assign(row, { pairKey: entry.groupId, pairName: group?.name ?? null, pairAvatarUrl: group?.avatar_url || DEFAULT_GROUP_AVATAR });
+        }
+        return row;
+    });
+}
+
+/**
+ * Returns whether the row matches the given search text (name, key, slot or nickname).
+ * @param {ManagerRow} row
+ * @param {string} search - Lowercase search text
+ * @returns {boolean}
+ */
+function matchesSearch(row, search) {
+    if (!search) return true;
+    return [row.name, row.entry.key, row.entry.slot, row.text, row.pairName, row.pairKey]
+        .some(text => text?.toLowerCase().includes(search));
+}
+
+/**
+ * Gets the value a row is sorted by for the given column.
+ * @param {ManagerRow} row
+ * @param {ManagerSortKey} sortKey
+ * @returns {string|number}
+ */
+function getSortValue(row, sortKey) {
+    switch (sortKey) {
+        case 'scope': return SCOPE_DISPLAY[row.entry.scope].order;
+        case 'name': return row.name ?? row.entry.key;
+        case 'pair': return row.pairName ?? row.pairKey ?? '';
+        case 'nickname': return row.text;
+    }
+}
+
+/**
+ * Sorts rows by the given column. Ties are broken by original name.
+ * @param {ManagerRow[]} rows
+ * @param {ManagerSortKey} sortKey
+ * @param {boolean} ascending
+ * @returns {ManagerRow[]}
+ */
+function sortRows(rows, sortKey, ascending) {
+    const compare = (/** @type {string|number} */ a, /** @type {string|number} */ b) => typeof a === 'number' && typeof b === 'number'
+        ? a - b
+        : String(a).localeCompare(String(b), undefined, { sensitivity: 'base' });
+
+    return rows.sort((a, b) => {
+        const result = compare(getSortValue(a, sortKey), getSortValue(b, sortKey)) || compare(getSortValue(a, 'name'), getSortValue(b, 'name'));
+        return ascending ? result : -result;
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+/**
+ * Creates the avatar + name cell content for an entity.
+ * @param {string|null} name
+ * @param {string} key
+ * @param {string} avatarUrl
+ * @returns {JQuery<HTMLElement>}
+ */
+function createEntityCell(name, key, avatarUrl) {
+    const $cell = $('<div class="nickname-manager-entity flex-container alignItemsCenter flexNoWrap">');
+    $('<img class="nickname-manager-avatar" loading="lazy">').attr('src', avatarUrl).attr('alt', '').appendTo($cell);
+    const $names = $('<div class="flex-container flexFlowColumn">').appendTo($cell);
+    if (name) {
+        $('<span>').text(name).appendTo($names);
+    } else {
+        $('<em>').text(t`Not found`).attr('title', t`No character or persona with this key exists anymore`).appendTo($names);
+    }
+    $('<small class="nickname-manager-key">').text(key).appendTo($names);
+    return $cell;
+}
+
+/**
+ * Creates the table row for a manager row.
+ * @param {ManagerRow} row
+ * @returns {JQuery<HTMLElement>}
+ */
+function createRowElement(row) {
+    const { entry } = row;
+    const scope = SCOPE_DISPLAY[entry.scope];
+    const $row = $('<tr>').attr('data-id', entry.id);
+
+    $('<td class="nickname-manager-scope">').append(
+        $('<i class="fa-solid fa-fw">').addClass(scope.icon).attr('data-scope', entry.scope),
+        $('<small>').text(translate(scope.label)),
+    ).appendTo($row);
+    $('<td>').append(createEntityCell(row.name, entry.key, row.avatarUrl)).appendTo($row);
+    $('<td>').append(row.pairKey ? createEntityCell(row.pairName, row.pairKey, row.pairAvatarUrl) : null).appendTo($row);
+    $('<td>').append(
+        $('<div class="flex-container alignItemsCenter flexNoWrap">').append(
+            entry.slot !== NicknameSlot.DEFAULT ? $('<small class="nickname-manager-slot">').text(entry.slot) : null,
+            $('<input type="text" class="nickname-manager-value text_pole" maxlength="500">').val(row.text),
+        ),
+    ).appendTo($row);
+    $('<td>').append(
+        $('<button class="nickname-manager-delete menu_button fa-solid fa-trash-can">').attr('title', t`Delete this nickname`),
+    ).appendTo($row);
+
+    return $row;
+}
+
+// ---------------------------------------------------------------------------
+// Popup
+// ---------------------------------------------------------------------------
+
+/**
+ * Opens the nickname manager popup, listing all stored global and char-level nicknames.
+ * @returns {Promise<void>}
+ */
+export async function openNicknameManager() {
+    const html = await renderExtensionTemplateAsync(`third-party/${EXTENSION_NAME}`, 'templates/nickname-manager');
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const container = /** @type {HTMLElement} */ (template.content.firstElementChild);
+    const $container = $(container);
+
+    const rows = buildRows();
+    const state = {
+        search: '',
+        scope: '',
+        /** @type {ManagerSortKey} */
+        sortKey: 'name',
+        ascending: true,
+    };
+
+    const render = () => {
+        const visible = sortRows(
+            rows.filter(row => (!state.scope || row.entry.scope === state.scope) && matchesSearch(row, state.search)),
+            state.sortKey,
+            state.ascending,
+        );
+
+        $container.find('tbody').empty().append(visible.map(createRowElement));
+        $container.find('.nickname-manager-count').text(t`Showing ${visible.length} of ${rows.length} nicknames`);
+        $container.find('.nickname-manager-empty').toggleClass('hidden', rows.length > 0);
+        $container.find('th[data-sort]').each(function () {
+            const isSorted = this.dataset.sort === state.sortKey;
+            $(this).toggleClass('sorted', isSorted)
+                .find('.sort-icon')
+                .toggleClass('fa-sort', !isSorted)
+                .toggleClass('fa-sort-up', isSorted && state.ascending)
+                .toggleClass('fa-sort-down', isSorted && !state.ascending);
+        });
+    };
+
+    /** @param {HTMLElement} el @returns {ManagerRow|undefined} */
+    const findRow = (el) => rows.find(row => row.entry.id === $(el).closest('tr').attr('data-id'));
+
+    $container.on('input', '.nickname-manager-search', function () {
+        state.search = String($(this).val()).trim().toLowerCase();
+        render();
+    });
+    $container.on('change', '.nickname-manager-scope-filter', function () {
+        state.scope = String($(this).val());
+        render();
+    });
+    $container.on('click', 'th[data-sort]', function () {
+        const sortKey = /** @type {ManagerSortKey} */ (this.dataset.sort);
+        state.ascending = state.sortKey === sortKey ? !state.ascending : true;
+        state.sortKey = sortKey;
+        render();
+    });
+
+    // Inline edit — saved on change (blur or Enter)
+    $container.on('change', '.nickname-manager-value', function () {
+        const row = findRow(this);
+        if (!row) return;
+
+        const value = parseNicknamePool(String($(this).val()));
+        if (!value) {
+            toastr.warning(t`Please enter a nickname, or use the delete button to remove it`, t`Nicknames`);
+            $(this).val(row.text);
+            return;
+        }
+        const text = formatNicknamePool(value);
+        $(this).val(text);
+        if (text === row.text) return;
+
+        setMappingEntry(row.entry, text);
+        row.entry.value = value;
+        row.text = text;
+        refreshAllUI();
+        toastr.success(t`Nickname saved`, t`Nicknames`);
+    });
+    $container.on('keypress', '.nickname-manager-value', function (e) {
+        if (e.key === 'Enter') $(this).trigger('blur');
+    });
+
+    $container.on('click', '.nickname-manager-delete', function () {
+        const row = findRow(this);
+        if (!row) return;
+
+        setMappingEntry(row.entry, null);
+        rows.splice(rows.indexOf(row), 1);
+        refreshAllUI();
+        render();
+        toastr.info(t`Nickname deleted`, t`Nicknames`);
+    });
+
+    render();
+
+    const popup = new Popup(container, POPUP_TYPE.TEXT, null, {
+        okButton: t`Close`,
+        large: true,
+        allowVerticalScrolling: true,
+    });
+    await popup.show();
+}
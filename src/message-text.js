@@ -0,0 +1,114 @@
+/**
+ * Nicknames in the text of displayed chat messages.
+ * Swaps the full names of the persona and the characters in rendered `.mes_text` for their nicknames.
+ * Only the display is changed - every replaced name keeps its original in a data attribute, and the
+ * stored message is never touched.
+ */
+
+import { eventSource, event_types } from '../../../../../script.js';
+import { getContext } from '/scripts/st-context.js';
+import { getMessageNameReplacements, splitByNames } from './deep-substitution.js';
+import { nicknameSettings } from './nicknames.js';
+
+/** Class of the elements wrapping a replaced name */
+const REPLACED_NAME_CLASS = 'nickname-in-text';
+
+/** Elements whose text is never changed */
+const SKIPPED_ELEMENTS = 'pre, code, .' + REPLACED_NAME_CLASS;
+
+/**
+ * Restores the full names in the text of a rendered message.
+ * @param {HTMLElement} mesTextEl - The `.mes_text` element
+ */
+function restoreMessageText(mesTextEl) {
+    const replaced = mesTextEl.querySelectorAll(`.${REPLACED_NAME_CLASS}`);
+    if (!replaced.length) return;
+
+    replaced.forEach(el => el.replaceWith(/** @type {HTMLElement} */ (el).dataset.nicknameOriginalName ?? el.textContent));
+    mesTextEl.normalize();
+}
+
+/**
+ * Applies nicknames to (or restores the full names in) the text of a single `.mes` element.
+ * @param {HTMLElement} mesEl
+ * @param {boolean} [apply=true] - true to apply nicknames, false to restore the full names
+ */
+function applyNicknamesToMesText(mesEl, apply = true) {
+    const mesTextEl = /** @type {HTMLElement|null} */ (mesEl.querySelector('.mes_text'));
+    if (!mesTextEl) return;
+
+    // Start from the full names, so changed nicknames are applied cleanly
+    restoreMessageText(mesTextEl);
+    if (!apply || mesEl.getAttribute('is_system') === 'true') return;
+
+    const mesId = Number(mesEl.getAttribute('mesid'));
+    const message = getContext().chat?.[mesId];
+    if (!message) return;
+
+    const replacements = getMessageNameReplacements(message, mesId);
+    if (!replacements.size) return;
+
+    /** @type {Text[]} */
+    const textNodes = [];
+    const walker = document.createTreeWalker(mesTextEl, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.parentElement?.closest(SKIPPED_ELEMENTS) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT,
+    });
+    while (walker.nextNode()) textNodes.push(/** @type {Text} */ (walker.currentNode));
+
+    for (const textNode of textNodes) {
+        const parts = splitByNames(textNode.data, replacements, { caseAware: true });
+        if (parts.length === 1 && typeof parts[0] === 'string') continue;
+
+        textNode.replaceWith(...parts.map(part => {
+            if (typeof part === 'string') return part;
+            const span = document.createElement('span');
+            span.className = REPLACED_NAME_CLASS;
+            span.dataset.nicknameOriginalName = part.match;
+            span.title = part.match;
+            span.textContent = part.nickname;
+            return span;
+        }));
+    }
+}
+
+/**
+ * Applies nicknames to the text of a single rendered message by its chat index, if enabled.
+ * @param {number} messageId
+ */
+export function applyNicknamesToMessageText(messageId) {
+    if (!nicknameSettings.useForMessageText) return;
+    const mesEl = /** @type {HTMLElement|null} */ (document.querySelector(`#chat .mes[mesid="${messageId}"]`));
+    if (mesEl) applyNicknamesToMesText(mesEl, true);
+}
+
+/**
+ * Updates the text of all rendered messages to show nicknames, or restores the full names when disabled.
+ */
+export function refreshMessageTexts() {
+    const enabled = nicknameSettings.useForMessageText;
+    document.querySelectorAll('#chat .mes').forEach(el => {
+        applyNicknamesToMesText(/** @type {HTMLElement} */ (el), enabled);
+    });
+}
+
+/**
+ * Registers the event listeners that re-apply nicknames whenever message text is rendered again.
+ */
+export function registerMessageTextEventListeners() {
+    const refreshAll = () => {
+        if (nicknameSettings.useForMessageText) refreshMessageTexts();
+    };
+    eventSource.on(event_types.CHAT_LOADED, refreshAll);
+    eventSource.on(event_types.MORE_MESSAGES_LOADED, refreshAll);
+    eventSource.on(event_types.PERSONA_CHANGED, refreshAll);
+
+    // Each of these renders the text of a single message anew
+    for (const eventType of [
+        event_types.USER_MESSAGE_RENDERED,
+        event_types.CHARACTER_MESSAGE_RENDERED,
+        event_types.MESSAGE_SWIPED,
+        event_types.MESSAGE_UPDATED,
+    ]) {
+        eventSource.on(eventType, (/** @type {number} */ messageId) => applyNicknamesToMessageText(Number(messageId)));
+    }
+}
@@ -4,6 +4,8 @@
 
 import { saveSettingsDebounced, saveSettings, saveChatDebounced, saveCharacterDebounced, user_avatar, eventSource, event_types } from '../../../../../script.js';
 import { extension_settings } from '../../../../extensions.js';
+import { equalsIgnoreCaseAndAccents, escapeRegex, getStringHash, regexFromString } from '../../../../utils.js';
+import { evalBoolean, existsGlobalVariable, existsLocalVariable, getGlobalVariable, getLocalVariable } from '../../../../variables.js';
 import { EXTENSION_KEY } from '../index.js';
 import { t } from '/scripts/i18n.js';
 
@@ -11,26 +13,137 @@ import { t } from '/scripts/i18n.js';
 export const ContextLevel = {
     /** Set to global level, per account */
     GLOBAL: 'global',
-    /** Set to character level (only available for personas) */
+    /** Set to character-persona pair level (persona nickname for a character, or character nickname for a persona) */
     CHAR: 'char',
+    /** Set to group level (shared by all chats of the current group) */
+    GROUP: 'group',
     /** Set to chat level (saved with the chat file) */
     CHAT: 'chat',
+    /** Chosen by a conditional rule over chat variables, checked before all other levels */
+    RULE: 'rule',
     /** No context level (no nickname, using normal name) */
     NONE: 'none',
 };
 
+/** @enum {string} How the nickname is chosen when a level holds a pool of several nicknames */
+export const PoolMode = {
+    /** Always use the first nickname of the pool */
+    FIRST: 'first',
+    /** Pick a random nickname, which stays the same for the duration of one message */
+    RANDOM: 'random',
+    /** Cycle through the pool, one nickname per message */
+    ROUND_ROBIN: 'roundRobin',
+    /** Pick a random nickname per message, favoring nicknames with a higher weight */
+    WEIGHTED: 'weighted',
+};
+
+/** @enum {string} Whether the model may change nicknames via function calling, set per character */
+export const ToolPolicy = {
+    /** Changes proposed by the model are applied right away */
+    AUTO: 'auto',
+    /** Changes proposed by the model need to be confirmed by the user */
+    CONFIRM: 'confirm',
+    /** The model can't change nicknames */
+    FORBIDDEN: 'forbidden',
+};
+
+/** @enum {string} Where the variable of a conditional nickname rule is read from */
+export const VariableScope = {
+    /** Chat variable, as set by /setvar */
+    LOCAL: 'local',
+    /** Global variable, as set by /setglobalvar */
+    GLOBAL: 'global',
+};
+
+/** @enum {string} How a conditional nickname rule checks its variable. Comparisons work the same as in the /if command */
+export const RuleOperator = {
+    EQ: 'eq',
+    NEQ: 'neq',
+    GT: 'gt',
+    GTE: 'gte',
+    LT: 'lt',
+    LTE: 'lte',
+    /** The variable contains the value */
+    IN: 'in',
+    /** The variable does not contain the value */
+    NIN: 'nin',
+    /** The variable is set, whatever its value */
+    EXISTS: 'exists',
+    /** The variable is not set */
+    NOT_EXISTS: 'notExists',
+};
+
+/** @enum {string} Named forms of a nickname. Each slot is resolved through the same context level waterfall */
+export const NicknameSlot = {
+    /** The regular nickname, used for names in chat, lists and {{user}}/{{char}} */
+    DEFAULT: 'default',
+    /** Formal address, e.g. "Captain Reyes" */
+    FORMAL: 'formal',
+    /** Casual address, e.g. "Rey" */
+    INFORMAL: 'informal',
+    /** Title, e.g. "Captain" */
+    TITLE: 'title',
+    /** Pet name, e.g. "sunshine" */
+    PET: 'pet',
+};
+
+/**
+ * A single nickname in a pool
+ * @typedef {Object} PoolItem
+ * @property {string} name - The nickname
+ * @property {number} weight - Relative weight for {@link PoolMode.WEIGHTED}, defaults to 1
+ */
+
+/**
+ * A stored nickname: a single string, or a pool of several nicknames.
+ * Pool items without a custom weight are stored as plain strings.
+ * @typedef {string|Array<string|PoolItem>} NicknameValue
+ */
+
+/**
+ * A stored nickname with named slots, keyed by {@link NicknameSlot}.
+ * Only used once a slot other than the default one is set, otherwise the plain {@link NicknameValue} is stored.
+ * @typedef {{[slot: string]: NicknameValue}} SlottedNickname
+ */
+
+/**
+ * What is stored per persona or character in a mapping: a nickname, or a nickname with named slots
+ * @typedef {NicknameValue|SlottedNickname} StoredNickname
+ */
+
 /**
  * Result of a nickname lookup
  * @typedef {Object} NicknameResult
  * @property {ContextLevel} context - The level at which this nickname is set
- * @property {string?} name - The nickname
+ * @property {string?} name - The nickname, chosen from the pool if there is more than one
+ * @property {PoolItem[]} [pool] - All nicknames set at this level, empty if none is set
+ * @property {NicknameRuleMatch} [rule] - The rule the nickname comes from, if chosen by a {@link ContextLevel.RULE} rule
+ */
+
+/**
+ * A conditional nickname: used while a chat variable meets the condition
+ * @typedef {Object} NicknameRule
+ * @property {VariableScope} scope - Where the variable is read from
+ * @property {string} variable - Name of the variable
+ * @property {RuleOperator} operator - How the variable is checked
+ * @property {string} value - Value the variable is compared to, unused when checking if it exists
+ * @property {NicknameValue} nickname - The nickname used while the condition is met, can be a pool
+ */
+
+/**
+ * The rule a nickname was chosen by
+ * @typedef {Object} NicknameRuleMatch
+ * @property {number} index - Position of the rule in the list of the persona or character, starting at 0
+ * @property {NicknameRule} rule - The rule
  */
 
 /**
  * Collection of mappings between characters/personas and nicknames
  * @typedef {Object} NicknameMappings
- * @property {{[personaKey: string]: string}} personas - Mapping of persona keys to a persona nickname.
- * @property {{[charKey: string]: string}} chars - Mapping of character keys to a character nickname.
+ * @property {{[personaKey: string]: StoredNickname}} personas - Mapping of persona keys to a persona nickname.
+ * @property {{[charKey: string]: StoredNickname}} chars - Mapping of character keys to a character nickname.
+ * @property {{ personas: {[personaKey: string]: import('./stages.js').NicknameStage[]}, chars: {[charKey: string]: import('./stages.js').NicknameStage[]} }} [stages] - Nickname stages, only stored with chat-level mappings.
+ * @property {{ personas: {[personaKey: string]: string[]}, chars: {[charKey: string]: string[]} }} [ignoredSuggestions] - Detected nickname suggestions ignored in the chat, lowercased, only stored with chat-level mappings.
  */
 
 /**
@@ -38,10 +151,35 @@ export const ContextLevel = {
  * @typedef {Object} NicknameSettings
  * @property {Object} mappings - Collection of mappings between characters/personas and nicknames
  * @property {{[charKey: string]: { personas: {[personaKey: string]: string}}}} mappings.char - Mapping of character keys to persona nicknames.
+ * @property {{[personaKey: string]: { chars: {[charKey: string]: string}}}} mappings.persona - Mapping of persona keys to character nicknames.
+ * @property {{[groupId: string]: NicknameMappings}} mappings.group - Mapping of group ids to persona and member nicknames.
  * @property {NicknameMappings} mappings.global - Global mappings for personas and characters.
+ * @property {{ personas: {[personaKey: string]: PoolMode}, chars: {[charKey: string]: PoolMode} }} poolModes - Pool selection mode per persona and character, {@link PoolMode.FIRST} if not set.
+ * @property {{ personas: {[personaKey: string]: NicknameRule[]}, chars: {[charKey: string]: NicknameRule[]} }} nicknameRules - Conditional nicknames per persona and character, checked in order.
+ * @property {{[charKey: string]: ToolPolicy}} toolPolicies - Function calling policy per character, {@link ToolPolicy.CONFIRM} if not set.
+ * @property {import('./function-tools.js').ToolAuditEntry[]} toolAuditLog - Nickname changes requested by the model, oldest first.
  * @property {boolean} useForCharList - Whether to use nickname in character list.
  * @property {boolean} useForChatMessages - Whether to use nickname as name for chat messages.
  * @property {boolean} useForMacros - Whether to use nickname as {{user}}/{{char}} in macros and outgoing prompts.
+ * @property {boolean} useFunctionTools - Whether the model can change nicknames via function calling.
+ * @property {boolean} useDeepSubstitution - Whether hard-coded full names in the outgoing prompt are rewritten to nicknames.
+ * @property {boolean} useForStopStrings - Whether nicknames are added as name-based stopping strings.
+ * @property {boolean} useForPromptNames - Whether nicknames are used as message names in prompts (include names, instruct {{name}}).
+ * @property {boolean} useForInjection - Whether a note about the active nicknames is injected into the prompt.
+ * @property {boolean} useForMessageText - Whether full names in the text of displayed chat messages are shown as nicknames.
+ * @property {boolean} useForListSearch - Whether the character and persona lists can be searched, sorted and filtered by nickname.
+ * @property {boolean} searchCharLevelNicknames - Whether the list searches also match character-level nicknames.
+ * @property {boolean} writeToMessages - Whether the nickname is stored as the sender name of new chat messages.
+ * @property {boolean} useNicknameSnapshots - Whether past messages use the nickname from when they were sent, instead of the current one.
+ * @property {boolean} showLevelBadge - Whether displayed nicknames show a badge with the level they come from.
+ * @property {boolean} suggestNicknames - Whether nicknames coined in chat messages are offered to be set.
+ * @property {string[]} suggestionPatterns - Regexes finding coined nicknames in chat messages, see `suggestions.js`.
+ * @property {{[surface: string]: string}} displayFormats - Format template of the nickname labels per place they are shown.
+ * @property {{[surface: string]: boolean}} nameSurfaces - Other places full names are shown that show nicknames instead, see `ui.js`.
+ * @property {{ template: string, position: number, depth: number, role: number }} injection - Wording and placement of the injected nickname note.
+ * @property {{[charKey: string]: InjectionOverride}} injectionOverrides - Per-character changes to the injected nickname note.
+ * @property {{[field: string]: boolean}} deepSubstitutionFields - Prompt parts deep substitution applies to, see {@link import('./deep-substitution.js').SubstitutionField}.
+ * @property {import('./chat-maintenance.js').ChatMaintenanceJob?} chatMaintenanceJob - Unfinished batch job over all chat files, kept so it can be resumed.
  */
 
 // ---------------------------------------------------------------------------
@@ -54,21 +192,102 @@ export const settingKeys = Object.freeze({
     USE_FOR_CHAT_MESSAGES: 'useForChatMessages',
     USE_FOR_MACROS: 'useForMacros',
     USE_V3_SPEC_COMPAT: 'useV3SpecCompat',
+    USE_FUNCTION_TOOLS: 'useFunctionTools',
+    USE_DEEP_SUBSTITUTION: 'useDeepSubstitution',
+    USE_FOR_STOP_STRINGS: 'useForStopStrings',
+    USE_FOR_PROMPT_NAMES: 'useForPromptNames',
+    USE_FOR_INJECTION: 'useForInjection',
+    USE_FOR_MESSAGE_TEXT: 'useForMessageText',
+    USE_FOR_LIST_SEARCH: 'useForListSearch',
+    SEARCH_CHAR_LEVEL_NICKNAMES: 'searchCharLevelNicknames',
+    WRITE_TO_MESSAGES: 'writeToMessages',
+    USE_NICKNAME_SNAPSHOTS: 'useNicknameSnapshots',
+    SHOW_LEVEL_BADGE: 'showLevelBadge',
+    SUGGEST_NICKNAMES: 'suggestNicknames',
+    CHAT_MAINTENANCE_JOB: 'chatMaintenanceJob',
 });
 
+/**
+ * Default patterns finding nicknames coined in chat messages.
+ * The first group is the nickname of the one spoken to, a group named `self` the nickname of the speaker.
+ * Nicknames have to start with a capital letter, so "I'll call you tomorrow" is not taken for one.
+ */
+export const DEFAULT_SUGGESTION_PATTERNS = Object.freeze([
+    '/\\b(?:I[\'’]ll|I will|I[\'’]m going to|I[\'’]m gonna|I am going to|I shall|[Ll]et me|[Mm]ind if I|[Cc]an I) call you,? ["“]?([A-Z][\\w\'’-]+(?: [A-Z][\\w\'’-]+)?)/',
+    '/\\b(?:[Ff]rom now on|[Hh]enceforth),? you(?:[\'’]re| are|[\'’]ll be| will be) ["“]?([A-Z][\\w\'’-]+(?: [A-Z][\\w\'’-]+)?)/',
+    '/\\b[Yy]our (?:new name|nickname|pet name) (?:is|will be|shall be),? ["“]?([A-Z][\\w\'’-]+(?: [A-Z][\\w\'’-]+)?)/',
+    '/\\b[Cc]all me ["“]?(?<self>[A-Z][\\w\'’-]+(?: [A-Z][\\w\'’-]+)?)/',
+]);
+
+/** Default wording of the nickname note injected into the prompt */
+export const DEFAULT_INJECTION_TEMPLATE = '[{{charFull}} goes by {{charNickname}}. {{charNickname}} calls {{userFull}} "{{userNickname}}".]';
+
 const defaultSettings = Object.freeze({
     [settingKeys.CUR_VERSION]: null,
     [settingKeys.USE_FOR_CHAR_LIST]: false,
     [settingKeys.USE_FOR_CHAT_MESSAGES]: false,
     [settingKeys.USE_FOR_MACROS]: false,
     [settingKeys.USE_V3_SPEC_COMPAT]: false,
+    [settingKeys.USE_FUNCTION_TOOLS]: false,
+    [settingKeys.USE_DEEP_SUBSTITUTION]: false,
+    [settingKeys.USE_FOR_STOP_STRINGS]: false,
+    [settingKeys.USE_FOR_PROMPT_NAMES]: false,
+    [settingKeys.USE_FOR_INJECTION]: false,
+    [settingKeys.USE_FOR_MESSAGE_TEXT]: false,
+    [settingKeys.USE_FOR_LIST_SEARCH]: false,
+    [settingKeys.SEARCH_CHAR_LEVEL_NICKNAMES]: false,
+    [settingKeys.WRITE_TO_MESSAGES]: false,
+    [settingKeys.USE_NICKNAME_SNAPSHOTS]: false,
+    [settingKeys.SHOW_LEVEL_BADGE]: false,
+    [settingKeys.SUGGEST_NICKNAMES]: false,
+    suggestionPatterns: DEFAULT_SUGGESTION_PATTERNS,
+    [settingKeys.CHAT_MAINTENANCE_JOB]: null,
     mappings: {
         char: {},
+        persona: {},
+        group: {},
         global: {
             personas: {},
             chars: {},
         },
     },
+    poolModes: {
+        personas: {},
+        chars: {},
+    },
+    nicknameRules: {
+        personas: {},
+        chars: {},
+    },
+    toolPolicies: {},
+    toolAuditLog: [],
+    deepSubstitutionFields: {
+        history: true,
+        description: true,
+        personality: true,
+        scenario: true,
+        mesExamples: true,
+    },
+    injection: {
+        template: DEFAULT_INJECTION_TEMPLATE,
+        position: 0,
+        depth: 4,
+        role: 0,
+    },
+    injectionOverrides: {},
+    displayFormats: {
+        message: '{nickname}',
+        charList: '{nickname}',
+        personaList: '{nickname}',
+    },
+    nameSurfaces: {
+        rightPanel: false,
+        groupMembers: false,
+        personaSelector: false,
+        typingIndicator: false,
+        recentChats: false,
+        tabTitle: false,
+    },
 });
 
 /** @type {NicknameSettings} */
@@ -87,6 +306,19 @@ function migrateSettings(loadedSettings) {
     void loadedSettings;
 }
 
+/**
+ * Fills the missing keys of a nested settings object with their defaults.
+ * The object is kept as it is, so references held to it stay the ones that are saved.
+ * @param {Record<string, unknown>} loadedSettings
+ * @param {string} key - Key of the nested object
+ */
+function applyNestedDefaults(loadedSettings, key) {
+    const nested = loadedSettings[key] ??= {};
+    for (const [nestedKey, value] of Object.entries(defaultSettings[key])) {
+        nested[nestedKey] ??= value;
+    }
+}
+
 /**
  * Ensures extension settings exist with defaults, running any needed migrations.
  * @param {string|null} [version=null] - Current extension version from manifest.json
@@ -100,15 +332,31 @@ export function ensureSettings(version = null) {
 
     // Apply defaults for missing keys
     for (const [key, value] of Object.entries(defaultSettings)) {
-        if (!(key in loadedSettings)) loadedSettings[key] = value;
+        if (!(key in loadedSettings)) loadedSettings[key] = structuredClone(value);
     }
 
     // Ensure nested mappings object exists
     loadedSettings.mappings ??= { ...defaultSettings.mappings };
     loadedSettings.mappings.char ??= {};
+    loadedSettings.mappings.persona ??= {};
+    loadedSettings.mappings.group ??= {};
     loadedSettings.mappings.global ??= { ...defaultSettings.mappings.global };
     loadedSettings.mappings.global.personas ??= {};
     loadedSettings.mappings.global.chars ??= {};
+    loadedSettings.poolModes ??= { ...defaultSettings.poolModes };
+    loadedSettings.poolModes.personas ??= {};
+    loadedSettings.poolModes.chars ??= {};
+    loadedSettings.nicknameRules ??= { ...defaultSettings.nicknameRules };
+    loadedSettings.nicknameRules.personas ??= {};
+    loadedSettings.nicknameRules.chars ??= {};
+    loadedSettings.toolPolicies ??= {};
+    loadedSettings.toolAuditLog ??= [];
+    loadedSettings.injectionOverrides ??= {};
+    // Filled in place - this runs on every settings read, and the UI keeps references to these objects
+    for (const key of ['deepSubstitutionFields', 'injection', 'displayFormats', 'nameSurfaces']) {
+        applyNestedDefaults(loadedSettings, key);
+    }
+    if (!Array.isArray(loadedSettings.suggestionPatterns)) loadedSettings.suggestionPatterns = [...DEFAULT_SUGGESTION_PATTERNS];
 
     if (version !== null) loadedSettings[settingKeys.CUR_VERSION] = version;
 
@@ -151,6 +399,39 @@ export const nicknameSettings = {
     get useV3SpecCompat() {
         return Boolean(ensureSettings()[settingKeys.USE_V3_SPEC_COMPAT]);
     },
+    get useFunctionTools() {
+        return Boolean(ensureSettings()[settingKeys.USE_FUNCTION_TOOLS]);
+    },
+    get useDeepSubstitution() {
+        return Boolean(ensureSettings()[settingKeys.USE_DEEP_SUBSTITUTION]);
+    },
+    get useForStopStrings() {
+        return Boolean(ensureSettings()[settingKeys.USE_FOR_STOP_STRINGS]);
+    },
+    get useForPromptNames() {
+        return Boolean(ensureSettings()[settingKeys.USE_FOR_PROMPT_NAMES]);
+    },
+    get useForInjection() {
+        return Boolean(ensureSettings()[settingKeys.USE_FOR_INJECTION]);
+    },
+    get useForMessageText() {
+        return Boolean(ensureSettings()[settingKeys.USE_FOR_MESSAGE_TEXT]);
+    },
+    get useForListSearch() {
+        return Boolean(ensureSettings()[settingKeys.USE_FOR_LIST_SEARCH]);
+    },
+    get searchCharLevelNicknames() {
+        return Boolean(ensureSettings()[settingKeys.SEARCH_CHAR_LEVEL_NICKNAMES]);
+    },
+    get writeToMessages() {
+        return Boolean(ensureSettings()[settingKeys.WRITE_TO_MESSAGES]);
+    },
+    get useNicknameSnapshots() {
+        return Boolean(ensureSettings()[settingKeys.USE_NICKNAME_SNAPSHOTS]);
+    },
+    get showLevelBadge() {
+        return Boolean(ensureSettings()[settingKeys.SHOW_LEVEL_BADGE]);
+    },
 };
 
 // ---------------------------------------------------------------------------
@@ -167,6 +448,422 @@ function getCharKey() {
     return getContext().characters[getContext().characterId]?.avatar;
 }
 
+function getGroupId() {
+    return getContext().groupId ?? null;
+}
+
+/**
+ * Gets the display name of a persona by its avatar key.
+ * @param {string} personaKey - The persona avatar key (e.g. "user.png")
+ * @returns {string|null} The persona name, or null if no such persona exists
+ */
+export function getPersonaName(personaKey) {
+    return getContext().powerUserSettings.personas?.[personaKey] ?? null;
+}
+
+/**
+ * Gets the display name of a character by its avatar key.
+ * @param {string} charKey - The character avatar key (e.g. "char.png")
+ * @returns {string|null} The character name, or null if no such character exists
+ */
+export function getCharName(charKey) {
+    return getContext().characters.find(c => c.avatar === charKey)?.name ?? null;
+}
+
+/**
+ * Gets the display name of a group by its id.
+ * @param {string} groupId - The group id
+ * @returns {string|null} The group name, or null if no such group exists
+ */
+export function getGroupName(groupId) {
+    return getContext().groups.find(g => g.id === groupId)?.name ?? null;
+}
+
+// ---------------------------------------------------------------------------
+// Nickname Pools
+// ---------------------------------------------------------------------------
+
+/** Separator between the nicknames of a pool in text form, e.g. `love | kiddo | boss*2` */
+export const POOL_SEPARATOR = '|';
+
+/** Matches the weight suffix of a pool item in text form, e.g. `*2` in `boss*2` */
+const POOL_WEIGHT_REGEX = /\s*\*\s*(\d+(?:\.\d+)?)$/;
+
+/**
+ * Normalizes a stored nickname (single string or pool) into a list of pool items.
+ * @param {NicknameValue|null|undefined} value
+ * @returns {PoolItem[]}
+ */
+export function normalizeNicknamePool(value) {
+    const items = Array.isArray(value) ? value : [value];
+    return items
+        .map(item => typeof item === 'string'
+            ? { name: item.trim(), weight: 1 }
+            : { name: String(item?.name ?? '').trim(), weight: Number(item?.weight) > 0 ? Number(item.weight) : 1 })
+        .filter(item => item.name);
+}
+
+/**
+ * Converts pool items into their compact stored form. A single nickname without weight is stored as a plain string.
+ * @param {PoolItem[]} pool
+ * @returns {NicknameValue|null} The value to store, or null if the pool is empty
+ */
+export function compactNicknamePool(pool) {
+    if (!pool.length) return null;
+    const items = pool.map(item => item.weight === 1 ? item.name : { name: item.name, weight: item.weight });
+    return items.length === 1 && typeof items[0] === 'string' ? items[0] : items;
+}
+
+/**
+ * Parses the text form of a pool, e.g. `love | kiddo | boss*2`, into its stored form.
+ * @param {string|null|undefined} text
+ * @returns {NicknameValue|null} The value to store, or null if no nickname is given
+ */
+export function parseNicknamePool(text) {
+    const pool = String(text ?? '').split(POOL_SEPARATOR).map(part => {
+        const match = part.match(POOL_WEIGHT_REGEX);
+        if (!match) return { name: part.trim(), weight: 1 };
+        return { name: part.slice(0, match.index).trim(), weight: Number(match[1]) > 0 ? Number(match[1]) : 1 };
+    });
+    return compactNicknamePool(pool.filter(item => item.name));
+}
+
+/**
+ * Formats a stored nickname (single string or pool) into its editable text form.
+ * @param {NicknameValue|PoolItem[]|null|undefined} value
+ * @returns {string}
+ */
+export function formatNicknamePool(value) {
+    return normalizeNicknamePool(value)
+        .map(item => item.weight === 1 ? item.name : `${item.name}*${item.weight}`)
+        .join(` ${POOL_SEPARATOR} `);
+}
+
+/**
+ * Gets the pool selection mode of a persona or character.
+ * @param {'user'|'char'} type
+ * @param {string} key - Persona or character avatar key
+ * @returns {PoolMode}
+ */
+export function getPoolMode(type, key) {
+    return ensureSettings().poolModes[type === 'char' ? 'chars' : 'personas'][key] ?? PoolMode.FIRST;
+}
+
+/**
+ * Sets the pool selection mode of a persona or character.
+ * @param {'user'|'char'} type
+ * @param {string} key - Persona or character avatar key
+ * @param {PoolMode} mode
+ */
+export function setPoolMode(type, key, mode) {
+    if (!Object.values(PoolMode).includes(mode)) {
+        throw new Error(`Unknown pool mode: ${mode}`);
+    }
+    const modes = ensureSettings().poolModes[type === 'char' ? 'chars' : 'personas'];
+    if (mode === PoolMode.FIRST) {
+        delete modes[key];
+    } else {
+        modes[key] = mode;
+    }
+    saveSettingsDebounced();
+}
+
+/**
+ * Gets the index of the message a nickname is resolved for by default - the next message of the chat.
+ * @returns {number}
+ */
+function getNextMessageIndex() {
+    return getContext().chat?.length ?? 0;
+}
+
+/**
+ * Picks a nickname from a pool. The pick only depends on its arguments, so the same message
+ * always gets the same nickname, no matter how often it is resolved.
+ * @param {PoolItem[]} pool
+ * @param {PoolMode} mode
+ * @param {object} [options={}]
+ * @param {string} [options.seed=''] - Seed for random modes, so different entities don't roll in lockstep
+ * @param {number} [options.messageIndex] - Index of the message the nickname is picked for, defaults to the next message
+ * @returns {string|null}
+ */
+export function pickFromPool(pool, mode, { seed = '', messageIndex = getNextMessageIndex() } = {}) {
+    if (pool.length <= 1) return pool[0]?.name ?? null;
+
+    const roll = () => getStringHash(`${seed}:${messageIndex}`) / 2 ** 53;
+    switch (mode) {
+        case PoolMode.ROUND_ROBIN:
+            return pool[messageIndex % pool.length].name;
+        case PoolMode.RANDOM:
+            return pool[Math.floor(roll() * pool.length)].name;
+        case PoolMode.WEIGHTED: {
+            let remaining = roll() * pool.reduce((sum, item) => sum + item.weight, 0);
+            return pool.find(item => (remaining -= item.weight) < 0)?.name ?? pool[pool.length - 1].name;
+        }
+        default:
+            return pool[0].name;
+    }
+}
+
+/**
+ * Builds the result of a nickname lookup from a stored value, choosing the nickname from the pool.
+ * @param {ContextLevel} context
+ * @param {StoredNickname|null|undefined} stored
+ * @param {object} options
+ * @param {'user'|'char'} options.type
+ * @param {string} options.key - Persona or character avatar key, used for the pool mode
+ * @param {NicknameSlot} [options.slot=NicknameSlot.DEFAULT] - Slot to read from the stored value
+ * @param {number} [options.messageIndex] - Index of the message the nickname is picked for
+ * @returns {NicknameResult}
+ */
+function createNicknameResult(context, stored, { type, key, slot = NicknameSlot.DEFAULT, messageIndex = getNextMessageIndex() }) {
+    const pool = normalizeNicknamePool(getSlotValue(stored, slot));
+    // Slots get their own seed, so their random picks don't move in lockstep
+    const seed = slot === NicknameSlot.DEFAULT ? `${type}:${key}` : `${type}:${key}:${slot}`;
+    const name = pickFromPool(pool, getPoolMode(type, key), { seed, messageIndex }) ?? undefined;
+    return { context, name, pool };
+}
+
+// ---------------------------------------------------------------------------
+// Function Calling Policy
+// ---------------------------------------------------------------------------
+
+/**
+ * Gets whether the model may change nicknames in chats with a character.
+ * @param {string} charKey - Character avatar key
+ * @returns {ToolPolicy}
+ */
+export function getToolPolicy(charKey) {
+    return ensureSettings().toolPolicies[charKey] ?? ToolPolicy.CONFIRM;
+}
+
+/**
+ * Sets whether the model may change nicknames in chats with a character.
+ * @param {string} charKey - Character avatar key
+ * @param {ToolPolicy} policy
+ */
+export function setToolPolicy(charKey, policy) {
+    if (!Object.values(ToolPolicy).includes(policy)) {
+        throw new Error(`Unknown tool policy: ${policy}`);
+    }
+    const policies = ensureSettings().toolPolicies;
+    if (policy === ToolPolicy.CONFIRM) {
+        delete policies[charKey];
+    } else {
+        policies[charKey] = policy;
+    }
+    saveSettingsDebounced();
+}
+
+// ---------------------------------------------------------------------------
+// Prompt Injection Overrides
+// ---------------------------------------------------------------------------
+
+/**
+ * Per-character change to the injected nickname note
+ * @typedef {Object} InjectionOverride
+ * @property {boolean} [disabled] - Never inject the note in chats with this character
+ * @property {string} [template] - Wording used instead of the global template
+ */
+
+/**
+ * Gets the per-character change to the injected nickname note.
+ * @param {string} charKey - Character avatar key
+ * @returns {InjectionOverride|null} The override, or null if the global settings apply
+ */
+export function getInjectionOverride(charKey) {
+    return ensureSettings().injectionOverrides[charKey] ?? null;
+}
+
+/**
+ * Sets or removes the per-character change to the injected nickname note.
+ * @param {string} charKey - Character avatar key
+ * @param {InjectionOverride|null} override - The override, or null to use the global settings
+ */
+export function setInjectionOverride(charKey, override) {
+    const overrides = ensureSettings().injectionOverrides;
+    if (override?.disabled || override?.template?.trim()) {
+        overrides[charKey] = override.disabled ? { disabled: true } : { template: override.template };
+    } else {
+        delete overrides[charKey];
+    }
+    saveSettingsDebounced();
+}
+
+// ---------------------------------------------------------------------------
+// Conditional Nicknames
+// ---------------------------------------------------------------------------
+
+/**
+ * Gets the conditional nickname rules of a persona or character, in the order they are checked.
+ * @param {'user'|'char'} type
+ * @param {string} key - Persona or character avatar key
+ * @returns {NicknameRule[]}
+ */
+export function getNicknameRules(type, key) {
+    return ensureSettings().nicknameRules[type === 'char' ? 'chars' : 'personas'][key] ?? [];
+}
+
+/**
+ * Sets the conditional nickname rules of a persona or character.
+ * Incomplete rules are kept, so they can be finished later - they never match.
+ * @param {'user'|'char'} type
+ * @param {string} key - Persona or character avatar key
+ * @param {NicknameRule[]} rules - The rules in the order they are checked, or an empty list to remove all
+ */
+export function setNicknameRules(type, key, rules) {
+    for (const rule of rules) {
+        if (!Object.values(VariableScope).includes(rule.scope)) throw new Error(`Unknown variable scope: ${rule.scope}`);
+        if (!Object.values(RuleOperator).includes(rule.operator)) throw new Error(`Unknown rule operator: ${rule.operator}`);
+    }
+
+    const typeRules = ensureSettings().nicknameRules[type === 'char' ? 'chars' : 'personas'];
+    if (rules.length) {
+        typeRules[key] = rules.map(({ scope, variable, operator, value, nickname }) => ({
+            scope,
+            variable: variable.trim(),
+            operator,
+            value: value ?? '',
+            nickname: compactNicknamePool(normalizeNicknamePool(nickname)) ?? '',
+        }));
+    } else {
+        delete typeRules[key];
+    }
+    saveSettingsDebounced();
+}
+
+/**
+ * Converts a rule value to the type SillyTavern stores variables as, so numbers are compared as numbers.
+ * @param {string} value
+ * @returns {string|number}
+ */
+function toVariableOperand(value) {
+    return value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+}
+
+/**
+ * Checks whether the condition of a rule is met by the current variables.
+ * @param {NicknameRule} rule
+ * @returns {boolean}
+ */
+export function isNicknameRuleMatching(rule) {
+    const name = rule.variable?.trim();
+    if (!name || !normalizeNicknamePool(rule.nickname).length) return false;
+
+    const isLocal = rule.scope !== VariableScope.GLOBAL;
+    const exists = !!(isLocal ? existsLocalVariable(name) : existsGlobalVariable(name));
+    if (rule.operator === RuleOperator.EXISTS) return exists;
+    if (rule.operator === RuleOperator.NOT_EXISTS) return !exists;
+    if (!exists) return false;
+
+    const current = isLocal ? getLocalVariable(name) : getGlobalVariable(name);
+    try {
+        return evalBoolean(rule.operator, current, toVariableOperand(rule.value ?? ''));
+    } catch {
+        // E.g. "greater than" for a variable that holds text
+        return false;
+    }
+}
+
+/**
+ * Finds the first rule of a persona or character whose condition is met.
+ * @param {'user'|'char'} type
+ * @param {string} key - Persona or character avatar key
+ * @returns {NicknameRuleMatch|null}
+ */
+export function findMatchingNicknameRule(type, key) {
+    if (!key) return null;
+    const rules = getNicknameRules(type, key);
+    const index = rules.findIndex(isNicknameRuleMatching);
+    return index !== -1 ? { index, rule: rules[index] } : null;
+}
+
+// ---------------------------------------------------------------------------
+// Text Patterns
+// ---------------------------------------------------------------------------
+
+/**
+ * Parses a pattern entered by the user. Only `/regex/flags` is a regex, anything else is looked for as plain text.
+ * @param {string} pattern
+ * @returns {RegExp|null} The regex, or null if the pattern is empty or not a valid regex
+ */
+export function parseTextPattern(pattern) {
+    if (!pattern) return null;
+    if (/^\/.+\/[dgimsuvy]*$/s.test(pattern)) return regexFromString(pattern) ?? null;
+    return new RegExp(escapeRegex(pattern));
+}
+
+// ---------------------------------------------------------------------------
+// Nickname Slots
+// ---------------------------------------------------------------------------
+
+/**
+ * Returns whether a stored nickname holds named slots.
+ * @param {StoredNickname|null|undefined} stored
+ * @returns {stored is SlottedNickname}
+ */
+export function isSlottedNickname(stored) {
+    return !!stored && typeof stored === 'object' && !Array.isArray(stored);
+}
+
+/**
+ * Gets the nickname of a single slot from a stored nickname.
+ * @param {StoredNickname|null|undefined} stored
+ * @param {NicknameSlot} [slot=NicknameSlot.DEFAULT]
+ * @returns {NicknameValue|null}
+ */
+export function getSlotValue(stored, slot = NicknameSlot.DEFAULT) {
+    if (isSlottedNickname(stored)) return stored[slot] ?? null;
+    return slot === NicknameSlot.DEFAULT ? stored ?? null : null;
+}
+
+/**
+ * Gets all slots that have a nickname in a stored nickname.
+ * @param {StoredNickname|null|undefined} stored
+ * @returns {NicknameSlot[]}
+ */
+export function getSetSlots(stored) {
+    if (isSlottedNickname(stored)) return Object.values(NicknameSlot).filter(slot => stored[slot]);
+    return stored ? [NicknameSlot.DEFAULT] : [];
+}
+
+/**
+ * Returns a copy of a stored nickname with the nickname of one slot replaced.
+ * Stays a plain {@link NicknameValue} as long as only the default slot is set.
+ * @param {StoredNickname|null|undefined} stored
+ * @param {NicknameSlot} slot
+ * @param {NicknameValue|null} value - The nickname to set, or null to remove the slot
+ * @returns {StoredNickname|null} The value to store, or null if no slot is left
+ */
+export function withSlotValue(stored, slot, value) {
+    /** @type {SlottedNickname} */
+    const slots = isSlottedNickname(stored) ? { ...stored } : stored ? { [NicknameSlot.DEFAULT]: stored } : {};
+    if (value) {
+        slots[slot] = value;
+    } else {
+        delete slots[slot];
+    }
+
+    const keys = Object.keys(slots);
+    if (!keys.length) return null;
+    return keys.length === 1 && keys[0] === NicknameSlot.DEFAULT ? slots[NicknameSlot.DEFAULT] : slots;
+}
+
+/**
+ * Sets (or removes, if value is empty) the nickname of one slot in a key → nickname map.
+ * @param {{[key: string]: StoredNickname}} map
+ * @param {string} key - Persona or character key
+ * @param {NicknameSlot} slot
+ * @param {NicknameValue|null} value
+ */
+function writeSlotValue(map, key, slot, value) {
+    const stored = withSlotValue(map[key], slot, value);
+    if (stored) {
+        map[key] = stored;
+    } else {
+        delete map[key];
+    }
+}
+
 // ---------------------------------------------------------------------------
 // Nickname CRUD
 // ---------------------------------------------------------------------------
@@ -175,102 +872,160 @@ function getCharKey() {
  * Handles nickname settings for the given type, in the given context.
  *
  * @param {'user'|'char'} type - Type of nickname to handle. Can be either 'user' or 'char'
- * @param {string|null} [value=null] - Value to set the nickname to - If not given, the nickname will be read instead
- * @param {ContextLevel|null} [forContext=null] - Context in which to handle the nickname - Can be 'chat', 'char', or 'global'. If not given, the first nickname found in the context in the specified order will be returned
+ * @param {string|null} [value=null] - Value to set the nickname to - If not given, the nickname will be read instead. Several nicknames separated by {@link POOL_SEPARATOR} are stored as a pool
+ * @param {ContextLevel|null} [forContext=null] - Context in which to handle the nickname - Can be 'chat', 'group', 'char', or 'global'. If not given, the first nickname found in the context in the specified order will be returned
  * @param {object} [options] - Optional arguments
  * @param {boolean} [options.reset=false] - If true, the nickname will be reset to its default value
+ * @param {string|null} [options.key=null] - Avatar key of the persona or character to handle - If not given, the active persona or character is used
+ * @param {NicknameSlot} [options.slot=NicknameSlot.DEFAULT] - Named slot of the nickname to handle - Each slot has its own waterfall
+ * @param {number} [options.messageIndex] - Index of the message a nickname is picked from the pool for - Defaults to the next message
  *
  * @returns {NicknameResult?} The nickname value after handling
  */
-export function handleNickname(type, value = null, forContext = null, { reset = false } = {}) {
-    value = value?.trim();
+export function handleNickname(type, value = null, forContext = null, { reset = false, key = null, slot = NicknameSlot.DEFAULT, messageIndex = getNextMessageIndex() } = {}) {
+    const newValue = parseNicknamePool(value);
 
     if (forContext && !Object.values(ContextLevel).includes(forContext)) {
         throw new Error(`Unknown context: ${forContext}`);
     }
-    if (!forContext && (value || reset)) {
+    if (forContext === ContextLevel.RULE) {
+        throw new Error('Rule nicknames are set as conditional rules, not in a context');
+    }
+    if (!Object.values(NicknameSlot).includes(slot)) {
+        throw new Error(`Unknown slot: ${slot}`);
+    }
+    if (!forContext && (newValue || reset)) {
         throw new Error('Can\'t set nickname or reset it without a context');
     }
+    // Writes are tracked, so listeners get notified of the change
+    if ((newValue || reset) && !isTrackingChanges) {
+        return trackNicknameChanges(reset ? ChangeReason.RESET : ChangeReason.SET,
+            () => handleNickname(type, value, forContext, { reset, key, slot, messageIndex }));
+    }
+
+    // The other side of the character-persona pair is always the active one
+    const personaKey = type === 'user' && key ? key : getPersonaKey();
+    const charKey = type === 'char' && key ? key : getCharKey();
+    const nicknameKey = type === 'char' ? charKey : personaKey;
+
+    /** @param {ContextLevel} context @param {StoredNickname|undefined} stored */
+    const toResult = (context, stored) => createNicknameResult(context, stored, { type, key: nicknameKey, slot, messageIndex });
+    /** @param {StoredNickname|undefined} stored */
+    const isSet = (stored) => !!getSlotValue(stored, slot);
+
+    // Conditional rules come before all levels, and only hold the regular nickname
+    if (!forContext && slot === NicknameSlot.DEFAULT) {
+        const match = findMatchingNicknameRule(type, nicknameKey);
+        if (match) return { ...toResult(ContextLevel.RULE, match.rule.nickname), rule: match };
+    }
 
     if (forContext === ContextLevel.CHAT || !forContext) {
         /** @type {NicknameMappings} */
         const chatMappings = getContext().chatMetadata[EXTENSION_KEY] ??= { personas: {}, chars: {} };
 
         const chatTypeKey = type === 'char' ? 'chars' : 'personas';
-        const nicknameKey = type === 'char' ? getCharKey() : getPersonaKey();
 
         // Reset -> return
         if (reset) {
-            delete chatMappings[chatTypeKey][nicknameKey];
+            writeSlotValue(chatMappings[chatTypeKey], nicknameKey, slot, null);
             saveChatDebounced();
             return null;
         }
         // Set -> return
-        if (value) {
-            chatMappings[chatTypeKey][nicknameKey] = value;
+        if (newValue) {
+            writeSlotValue(chatMappings[chatTypeKey], nicknameKey, slot, newValue);
             saveChatDebounced();
-            return { context: ContextLevel.CHAT, name: value };
+            return toResult(ContextLevel.CHAT, chatMappings[chatTypeKey][nicknameKey]);
         }
         // Return if set
-        if (forContext || chatMappings[chatTypeKey][nicknameKey]) {
-            return { context: ContextLevel.CHAT, name: chatMappings[chatTypeKey][nicknameKey] };
+        if (forContext || isSet(chatMappings[chatTypeKey][nicknameKey])) {
+            return toResult(ContextLevel.CHAT, chatMappings[chatTypeKey][nicknameKey]);
         }
     }
 
-    if (forContext === ContextLevel.CHAR && type === 'char') {
-        toastr.warning('Cannot set character nickname on character level', 'Nicknames');
-        return null;
+    if (forContext === ContextLevel.GROUP || !forContext) {
+        const groupId = getGroupId();
+        if (forContext === ContextLevel.GROUP && !groupId) {
+            if (newValue || reset) toastr.warning('Cannot set group nickname outside of a group chat', 'Nicknames');
+            return null;
+        }
+
+        if (groupId) {
+            const groupTypeKey = type === 'char' ? 'chars' : 'personas';
+
+            // Reset -> return
+            if (reset) {
+                if (settings.mappings.group[groupId]) writeSlotValue(settings.mappings.group[groupId][groupTypeKey], nicknameKey, slot, null);
+                saveSettingsDebounced();
+                return null;
+            }
+            // Set -> return
+            if (newValue) {
+                settings.mappings.group[groupId] ??= { personas: {}, chars: {} };
+                writeSlotValue(settings.mappings.group[groupId][groupTypeKey], nicknameKey, slot, newValue);
+                saveSettingsDebounced();
+                return toResult(ContextLevel.GROUP, settings.mappings.group[groupId][groupTypeKey][nicknameKey]);
+            }
+            // Return if set
+            if (forContext || isSet(settings.mappings.group[groupId]?.[groupTypeKey][nicknameKey])) {
+                return toResult(ContextLevel.GROUP, settings.mappings.group[groupId]?.[groupTypeKey][nicknameKey]);
+            }
+        }
     }
 
-    if ((forContext === ContextLevel.CHAR || !forContext) && type !== 'char') {
-        const charKey = getCharKey();
-        const nicknameKey = getPersonaKey();
+    if (forContext === ContextLevel.CHAR || !forContext) {
+        // Persona nicknames are stored per character, character nicknames per persona
+        const [pairMappings, ownerKey, pairTypeKey] = type === 'char'
+            ? [settings.mappings.persona, personaKey, 'chars']
+            : [settings.mappings.char, charKey, 'personas'];
 
         // Reset -> return
         if (reset) {
-            delete settings.mappings.char[charKey]?.personas[nicknameKey];
+            if (pairMappings[ownerKey]) writeSlotValue(pairMappings[ownerKey][pairTypeKey], nicknameKey, slot, null);
             saveSettingsDebounced();
             return null;
         }
         // Set -> return
-        if (value) {
-            settings.mappings.char[charKey] ??= { personas: {} };
-            settings.mappings.char[charKey].personas[nicknameKey] = value;
+        if (newValue) {
+            pairMappings[ownerKey] ??= { [pairTypeKey]: {} };
+            writeSlotValue(pairMappings[ownerKey][pairTypeKey], nicknameKey, slot, newValue);
             saveSettingsDebounced();
-            return { context: ContextLevel.CHAR, name: value };
+            return toResult(ContextLevel.CHAR, pairMappings[ownerKey][pairTypeKey][nicknameKey]);
         }
         // Return if set
-        if (forContext || settings.mappings.char[charKey]?.personas[nicknameKey]) {
-            return { context: ContextLevel.CHAR, name: settings.mappings.char[charKey]?.personas[nicknameKey] };
+        if (forContext || isSet(pairMappings[ownerKey]?.[pairTypeKey][nicknameKey])) {
+            return toResult(ContextLevel.CHAR, pairMappings[ownerKey]?.[pairTypeKey][nicknameKey]);
         }
     }
 
     if (forContext === ContextLevel.GLOBAL || !forContext) {
         const globalTypeKey = type === 'char' ? 'chars' : 'personas';
-        const nicknameKey = type === 'char' ? getCharKey() : getPersonaKey();
+        // The card can only be saved for the character currently open in the editor, and only holds the default slot
+        const syncV3Spec = type === 'char' && slot === NicknameSlot.DEFAULT && nicknameKey && nicknameKey === getCharKey();
 
         // Reset -> return
         if (reset) {
-            delete settings.mappings.global[globalTypeKey][nicknameKey];
+            writeSlotValue(settings.mappings.global[globalTypeKey], nicknameKey, slot, null);
             saveSettingsDebounced();
-            if (type === 'char' && nicknameKey) syncNicknameToV3SpecField(nicknameKey);
+            if (syncV3Spec) syncNicknameToV3SpecField(nicknameKey);
             return null;
         }
         // Set -> return
-        if (value) {
-            settings.mappings.global[globalTypeKey][nicknameKey] = value;
+        if (newValue) {
+            writeSlotValue(settings.mappings.global[globalTypeKey], nicknameKey, slot, newValue);
             saveSettingsDebounced();
-            if (type === 'char' && nicknameKey) syncNicknameToV3SpecField(nicknameKey);
-            return { context: ContextLevel.GLOBAL, name: value };
+            if (syncV3Spec) syncNicknameToV3SpecField(nicknameKey);
+            return toResult(ContextLevel.GLOBAL, settings.mappings.global[globalTypeKey][nicknameKey]);
         }
         // Return if set
-        if (forContext || settings.mappings.global[globalTypeKey][nicknameKey]) {
-            return { context: ContextLevel.GLOBAL, name: settings.mappings.global[globalTypeKey][nicknameKey] };
+        if (forContext || isSet(settings.mappings.global[globalTypeKey][nicknameKey])) {
+            return toResult(ContextLevel.GLOBAL, settings.mappings.global[globalTypeKey][nicknameKey]);
         }
     }
 
     // Default, if no nickname is set, just return the current default names
-    return { context: ContextLevel.NONE, name: type === 'char' ? getContext().name2 : getContext().name1 };
+    if (key) return { context: ContextLevel.NONE, name: type === 'char' ? getCharName(key) : getPersonaName(key), pool: [] };
+    return { context: ContextLevel.NONE, name: type === 'char' ? getContext().name2 : getContext().name1, pool: [] };
 }
 
 /**
@@ -291,54 +1046,241 @@ export function getCharNickname() {
 
 /**
  * Resolves a nickname for an arbitrary persona avatar key, independent of the currently active persona.
- * Waterfall: chat-level (if charKey given) → char-level (if charKey given) → global.
+ * Waterfall: matching rule → chat-level → group-level (if in a group chat) → char-level (if charKey given) → global.
  * @param {string} personaKey - The persona avatar key (e.g. "user_avatar.png")
  * @param {string} [charKey] - Optional character avatar key for chat/char-level lookups
+ * @param {object} [options={}]
+ * @param {NicknameSlot} [options.slot=NicknameSlot.DEFAULT] - Named slot of the nickname to resolve
+ * @param {number} [options.messageIndex] - Index of the message a nickname is picked from the pool for - Defaults to the next message
  * @returns {NicknameResult}
  */
-export function getNicknameForPersonaAvatar(personaKey, charKey = null) {
-    const s = ensureSettings();
+export function getNicknameForPersonaAvatar(personaKey, charKey = null, { slot = NicknameSlot.DEFAULT, messageIndex = getNextMessageIndex() } = {}) {
+    return resolveNicknameWaterfall('user', personaKey, charKey, { slot, messageIndex }).result;
+}
 
-    // Chat-level (requires active chat metadata)
-    const chatMappings = getContext().chatMetadata[EXTENSION_KEY];
-    if (chatMappings?.personas?.[personaKey]) {
-        return { context: ContextLevel.CHAT, name: chatMappings.personas[personaKey] };
-    }
+/**
+ * Resolves a nickname for an arbitrary character avatar key, independent of the currently active character.
+ * Waterfall: matching rule → chat-level → group-level (if in a group chat) → char-level (if personaKey given) → global.
+ * @param {string} charAvatarKey - The character avatar key (e.g. "char.png")
+ * @param {string} [personaKey] - Optional persona avatar key for the character nickname used by that persona
+ * @param {object} [options={}]
+ * @param {NicknameSlot} [options.slot=NicknameSlot.DEFAULT] - Named slot of the nickname to resolve
+ * @param {number} [options.messageIndex] - Index of the message a nickname is picked from the pool for - Defaults to the next message
+ * @returns {NicknameResult}
+ */
+export function getNicknameForCharAvatar(charAvatarKey, personaKey = null, { slot = NicknameSlot.DEFAULT, messageIndex = getNextMessageIndex() } = {}) {
+    return resolveNicknameWaterfall('char', charAvatarKey, personaKey, { slot, messageIndex }).result;
+}
 
-    // Char-level (persona nickname for specific character)
-    if (charKey && s.mappings.char[charKey]?.personas?.[personaKey]) {
-        return { context: ContextLevel.CHAR, name: s.mappings.char[charKey].personas[personaKey] };
-    }
+/** Key in a message's `extra` holding the sender name from before a nickname was written into `name` */
+export const ORIGINAL_NAME_EXTRA_KEY = 'nicknameOriginalName';
 
-    // Global-level
-    if (s.mappings.global.personas[personaKey]) {
-        return { context: ContextLevel.GLOBAL, name: s.mappings.global.personas[personaKey] };
-    }
+/**
+ * Gets the sender name of a chat message as it was before a nickname was written into it.
+ * @param {{ name?: string, extra?: object }} message - The chat message
+ * @returns {string} The original sender name
+ */
+export function getOriginalMessageName(message) {
+    return message?.extra?.[ORIGINAL_NAME_EXTRA_KEY] ?? message?.name ?? '';
+}
 
-    return { context: ContextLevel.NONE, name: null };
+/** Key in a message's `extra` holding the nickname of the sender at the time the message was rendered first */
+export const NICKNAME_SNAPSHOT_EXTRA_KEY = 'nicknameSnapshot';
+
+/**
+ * Gets the nickname snapshot of a chat message.
+ * @param {{ extra?: object }} message - The chat message
+ * @returns {NicknameResult|null} The nickname the sender had back then, or null if the message has no snapshot
+ */
+export function getNicknameSnapshot(message) {
+    const snapshot = message?.extra?.[NICKNAME_SNAPSHOT_EXTRA_KEY];
+    if (!snapshot || typeof snapshot !== 'object') return null;
+
+    const name = typeof snapshot.name === 'string' ? snapshot.name : null;
+    const context = Object.values(ContextLevel).includes(snapshot.context) && name ? snapshot.context : ContextLevel.NONE;
+    return { context, name, pool: context !== ContextLevel.NONE ? [{ name, weight: 1 }] : [] };
 }
 
 /**
- * Resolves a nickname for an arbitrary character avatar key, independent of the currently active character.
- * Waterfall: chat-level → global.
- * @param {string} charAvatarKey - The character avatar key (e.g. "char.png")
- * @returns {NicknameResult}
+ * Records the current nickname of the sender in a chat message, unless it already has a snapshot.
+ * Messages sent without a nickname record that too, so a nickname set later doesn't relabel them.
+ * @param {number} messageIndex - Index of the message in the chat
+ * @returns {boolean} Whether a snapshot was recorded
  */
-export function getNicknameForCharAvatar(charAvatarKey) {
-    const s = ensureSettings();
+export function recordNicknameSnapshot(messageIndex) {
+    const message = getContext().chat?.[messageIndex];
+    if (!message || message.is_system || message.extra?.[NICKNAME_SNAPSHOT_EXTRA_KEY]) return false;
+
+    const result = getNicknameForMessage(message, messageIndex, { snapshot: false });
+    if (!result) return false;
+
+    const hasNickname = result.context !== ContextLevel.NONE;
+    message.extra = {
+        ...message.extra,
+        [NICKNAME_SNAPSHOT_EXTRA_KEY]: { context: result.context, name: hasNickname ? result.name : null },
+    };
+    saveChatDebounced();
+    return true;
+}
 
-    // Chat-level
-    const chatMappings = getContext().chatMetadata[EXTENSION_KEY];
-    if (chatMappings?.chars?.[charAvatarKey]) {
-        return { context: ContextLevel.CHAT, name: chatMappings.chars[charAvatarKey] };
-    }
+/**
+ * Resolves the nickname of the sender of a chat message.
+ * Strategy:
+ *   0. If nickname snapshots are used and the message has one: the nickname the sender had back then.
+ *   1. If is_user: resolve the persona nickname via the persona key in `force_avatar`.
+ *   2. If char: resolve the character nickname via `original_avatar`.
+ *   3. Fallback: the active character, or a best-effort match of the sender name against the character list.
+ * @param {{ is_user?: boolean, is_system?: boolean, name?: string, original_avatar?: string, force_avatar?: string, extra?: object }} message - The chat message
+ * @param {number} [messageIndex] - Index of the message in the chat, used to pick from pools - Defaults to the next message
+ * @param {object} [options={}]
+ * @param {boolean} [options.snapshot] - Whether to use the snapshot of the message - Defaults to the setting
+ * @returns {NicknameResult|null} The resolved nickname, or null if the sender can't be determined
+ */
+export function getNicknameForMessage(message, messageIndex = getNextMessageIndex(), { snapshot = nicknameSettings.useNicknameSnapshots } = {}) {
+    const context = getContext();
+    if (!message || message.is_system) return null;
+
+    const snapshotResult = snapshot ? getNicknameSnapshot(message) : null;
+    if (snapshotResult) return snapshotResult;
+
+    if (message.is_user) {
+        // The URL format is: /thumbnail?type=persona&file=PERSONA_KEY
+        if (!message.force_avatar) return null;
+
+        let personaKey = null;
+        try {
+            personaKey = new URL(message.force_avatar, window.location.origin).searchParams.get('file');
+        } catch {
+            return null;
+        }
+        if (!personaKey) return null;
 
-    // Global-level
-    if (s.mappings.global.chars[charAvatarKey]) {
-        return { context: ContextLevel.GLOBAL, name: s.mappings.global.chars[charAvatarKey] };
+        // For char-level lookup, we need the current char key
+        return getNicknameForPersonaAvatar(personaKey, getCharKey() ?? null, { messageIndex });
     }
 
-    return { context: ContextLevel.NONE, name: null };
+    // For 1:1 chats the active character, otherwise a best-effort match by name across all characters
+    const charAvatarKey = message.original_avatar
+        ?? (context.characterId !== undefined ? getCharKey() : null)
+        ?? context.characters.find(c => c.name === getOriginalMessageName(message))?.avatar
+        ?? null;
+    if (!charAvatarKey) return null;
+
+    // For char-level lookup, we need the current persona key
+    return getNicknameForCharAvatar(charAvatarKey, getPersonaKey(), { messageIndex });
+}
+
+// ---------------------------------------------------------------------------
+// Waterfall Resolution
+// ---------------------------------------------------------------------------
+
+/** @enum {string} How a level took part in resolving a nickname */
+export const WaterfallStatus = {
+    /** The nickname of this level is used */
+    USED: 'used',
+    /** A nickname is set, but a more specific level is used instead */
+    OVERRIDDEN: 'overridden',
+    /** No nickname is set on this level */
+    EMPTY: 'empty',
+    /** The level does not apply right now, e.g. the group level outside of group chats */
+    UNAVAILABLE: 'unavailable',
+};
+
+/**
+ * A single level of a resolved nickname waterfall
+ * @typedef {Object} WaterfallLevel
+ * @property {ContextLevel} context - The context level
+ * @property {WaterfallStatus} status - How the level took part in the resolution
+ * @property {string} reason - Human readable explanation of the status
+ * @property {string|null} value - The nickname or pool set on this level, in text form
+ * @property {PoolItem[]} pool - All nicknames set on this level
+ */
+
+/**
+ * The full resolution of a nickname, level by level
+ * @typedef {Object} NicknameWaterfall
+ * @property {'user'|'char'} type - Whether a persona or character nickname was resolved
+ * @property {string} key - Avatar key of the persona or character
+ * @property {string|null} pairKey - Avatar key of the character or persona used for the char level
+ * @property {NicknameSlot} slot - Named slot that was resolved
+ * @property {WaterfallLevel[]} levels - All levels, from most to least specific
+ * @property {NicknameResult} result - The resolved nickname, same as the `getNicknameFor*Avatar` functions return
+ */
+
+/**
+ * Resolves the nickname of a persona or character through all context levels, and explains each level's part in it.
+ * This is the resolution used for prompts, messages and the UI, so its result always matches what is displayed and sent.
+ * Waterfall: matching rule → chat-level → group-level (if in a group chat) → char-level (if pairKey given) → global.
+ * @param {'user'|'char'} type
+ * @param {string} key - Avatar key of the persona or character
+ * @param {string|null} [pairKey=null] - Avatar key of the character (for personas) or persona (for characters) for the char level
+ * @param {object} [options={}]
+ * @param {NicknameSlot} [options.slot=NicknameSlot.DEFAULT] - Named slot of the nickname to resolve
+ * @param {number} [options.messageIndex] - Index of the message a nickname is picked from the pool for - Defaults to the next message
+ * @returns {NicknameWaterfall}
+ */
+export function resolveNicknameWaterfall(type, key, pairKey = null, { slot = NicknameSlot.DEFAULT, messageIndex = getNextMessageIndex() } = {}) {
+    const s = ensureSettings();
+    const typeKey = type === 'char' ? 'chars' : 'personas';
+    const groupId = getGroupId();
+    const pairMappings = type === 'char' ? s.mappings.persona[pairKey]?.chars : s.mappings.char[pairKey]?.personas;
+    const match = slot === NicknameSlot.DEFAULT ? findMatchingNicknameRule(type, key) : null;
+
+    /** @type {{ context: ContextLevel, stored: StoredNickname|undefined, unavailable: string|null }[]} */
+    const sources = [
+        {
+            context: ContextLevel.RULE,
+            stored: match?.rule.nickname,
+            unavailable: slot === NicknameSlot.DEFAULT ? null : 'Rules only set the regular nickname',
+        },
+        {
+            context: ContextLevel.CHAT,
+            stored: getContext().chatMetadata?.[EXTENSION_KEY]?.[typeKey]?.[key],
+            unavailable: getContext().chatId ? null : 'No chat is open',
+        },
+        {
+            context: ContextLevel.GROUP,
+            stored: groupId ? s.mappings.group[groupId]?.[typeKey]?.[key] : undefined,
+            unavailable: groupId ? null : 'Not in a group chat',
+        },
+        {
+            context: ContextLevel.CHAR,
+            stored: pairKey ? pairMappings?.[key] : undefined,
+            unavailable: pairKey ? null : `No ${type === 'char' ? 'persona' : 'character'} to pair with`,
+        },
+        {
+            context: ContextLevel.GLOBAL,
+            stored: s.mappings.global[typeKey][key],
+            unavailable: null,
+        },
+    ];
+
+    /** @type {NicknameResult} */
+    let result = { context: ContextLevel.NONE, name: null, pool: [] };
+    const levels = sources.map(({ context, stored, unavailable }) => {
+        const value = getSlotValue(stored, slot);
+        const pool = normalizeNicknamePool(value);
+        /** @type {WaterfallLevel} */
+        const level = { context, status: WaterfallStatus.EMPTY, reason: 'No nickname set', value: formatNicknamePool(value) || null, pool };
+        if (context === ContextLevel.RULE && !unavailable) {
+            level.reason = match ? `Rule ${match.index + 1} matches` : 'No rule matches';
+        }
+
+        if (unavailable) {
+            Object.assign(level, { status: WaterfallStatus.UNAVAILABLE, reason: unavailable });
+        } else if (value && result.context !== ContextLevel.NONE) {
+            Object.assign(level, { status: WaterfallStatus.OVERRIDDEN, reason: `Overridden by the ${result.context} level` });
+        } else if (value && context === ContextLevel.RULE) {
+            result = { ...createNicknameResult(context, stored, { type, key, slot, messageIndex }), rule: match };
+            level.status = WaterfallStatus.USED;
+        } else if (value) {
+            result = createNicknameResult(context, stored, { type, key, slot, messageIndex });
+            Object.assign(level, { status: WaterfallStatus.USED, reason: 'Most specific level with a nickname set' });
+        }
+        return level;
+    });
+
+    return { type, key, pairKey, slot, levels, result };
 }
 
 // ---------------------------------------------------------------------------
@@ -361,7 +1303,8 @@ export function syncNicknameToV3SpecField(charAvatarKey) {
     const character = context.characters.find(c => c.avatar === charAvatarKey);
     if (!character) return;
 
-    const nickname = settings.mappings.global.chars[charAvatarKey] ?? '';
+    // The card field holds a single nickname, so pools are written as their first nickname
+    const nickname = normalizeNicknamePool(getSlotValue(settings.mappings.global.chars[charAvatarKey]))[0]?.name ?? '';
 
     const v3CharData = /** @type {v3CharData} */ (character.data);
     v3CharData.nickname = nickname || undefined;
@@ -380,14 +1323,16 @@ export function getV3SpecNickname(charAvatarKey) {
 }
 
 /**
- * Directly writes a value into the global char nickname slot and saves settings.
+ * Directly writes a value into the default slot of the global char nickname and saves settings.
  * Does NOT sync back to the card (caller's responsibility if needed).
  * @param {string} charAvatarKey
  * @param {string} nickname
  */
 export function applyGlobalCharNickname(charAvatarKey, nickname) {
-    settings.mappings.global.chars[charAvatarKey] = nickname;
-    saveSettingsDebounced();
+    trackNicknameChanges(ChangeReason.CARD_SYNC, () => {
+        writeSlotValue(settings.mappings.global.chars, charAvatarKey, NicknameSlot.DEFAULT, nickname);
+        saveSettingsDebounced();
+    });
 }
 
 /**
@@ -408,7 +1353,7 @@ export function applyGlobalCharNickname(charAvatarKey, nickname) {
 export async function seedNicknameFromV3SpecField(charAvatarKey, { onConflict = null } = {}) {
     if (!nicknameSettings.useV3SpecCompat) return;
 
-    const globalNickname = settings.mappings.global.chars[charAvatarKey] || null;
+    const globalNickname = normalizeNicknamePool(getSlotValue(settings.mappings.global.chars[charAvatarKey]))[0]?.name ?? null;
     const specNickname = getV3SpecNickname(charAvatarKey);
 
     if (!globalNickname && !specNickname) return;
@@ -435,6 +1380,433 @@ export async function seedNicknameFromV3SpecField(charAvatarKey, { onConflict =
     }
 }
 
+// ---------------------------------------------------------------------------
+// Mapping Entries
+// ---------------------------------------------------------------------------
+
+/** @enum {string} The places in the settings where nickname mappings are stored */
+export const MappingScope = {
+    /** Global persona nickname (`mappings.global.personas`) */
+    GLOBAL_PERSONA: 'global.personas',
+    /** Global character nickname (`mappings.global.chars`) */
+    GLOBAL_CHAR: 'global.chars',
+    /** Persona nickname for a specific character (`mappings.char[charKey].personas`) */
+    CHAR_PERSONA: 'char.personas',
+    /** Character nickname for a specific persona (`mappings.persona[personaKey].chars`) */
+    PERSONA_CHAR: 'persona.chars',
+    /** Persona nickname for a specific group (`mappings.group[groupId].personas`) */
+    GROUP_PERSONA: 'group.personas',
+    /** Member nickname for a specific group (`mappings.group[groupId].chars`) */
+    GROUP_CHAR: 'group.chars',
+    /** Persona nickname for the open chat (stored in the chat file, not the settings) */
+    CHAT_PERSONA: 'chat.personas',
+    /** Character nickname for the open chat (stored in the chat file, not the settings) */
+    CHAT_CHAR: 'chat.chars',
+};
+
+/** @type {Readonly<{[scope: string]: { type: 'user'|'char', context: ContextLevel }}>} Nickname type and context level of each mapping scope */
+export const MAPPING_SCOPE_LEVELS = Object.freeze({
+    [MappingScope.GLOBAL_PERSONA]: { type: 'user', context: ContextLevel.GLOBAL },
+    [MappingScope.GLOBAL_CHAR]: { type: 'char', context: ContextLevel.GLOBAL },
+    [MappingScope.CHAR_PERSONA]: { type: 'user', context: ContextLevel.CHAR },
+    [MappingScope.PERSONA_CHAR]: { type: 'char', context: ContextLevel.CHAR },
+    [MappingScope.GROUP_PERSONA]: { type: 'user', context: ContextLevel.GROUP },
+    [MappingScope.GROUP_CHAR]: { type: 'char', context: ContextLevel.GROUP },
+    [MappingScope.CHAT_PERSONA]: { type: 'user', context: ContextLevel.CHAT },
+    [MappingScope.CHAT_CHAR]: { type: 'char', context: ContextLevel.CHAT },
+});
+
+/**
+ * A single nickname mapping, flattened out of the nested mapping structure
+ * @typedef {Object} MappingEntry
+ * @property {string} id - Unique id of the entry, stable across different mapping objects
+ * @property {MappingScope} scope - Scope of the mapping
+ * @property {string} key - Persona or character key the nickname belongs to
+ * @property {string|null} charKey - Character key for char-level persona mappings, otherwise null
+ * @property {string|null} personaKey - Persona key for char-level character mappings, otherwise null
+ * @property {string|null} groupId - Group id for group-level mappings, otherwise null
+ * @property {string|null} [chatId] - Chat id for chat-level mappings, see {@link flattenChatMappings}
+ * @property {NicknameSlot} slot - Named slot of the nickname
+ * @property {NicknameValue} value - The nickname, or pool of nicknames
+ */
+
+/**
+ * Builds the stable id of a mapping entry.
+ * @param {MappingScope} scope
+ * @param {string} key
+ * @param {string|null} [ownerKey=null] - The character, persona or group key a char- or group-level entry is stored under
+ * @param {NicknameSlot} [slot=NicknameSlot.DEFAULT]
+ * @returns {string}
+ */
+function getMappingEntryId(scope, key, ownerKey = null, slot = NicknameSlot.DEFAULT) {
+    return JSON.stringify([scope, ownerKey, key, slot]);
+}
+
+/**
+ * Flattens nested mappings into a map of entries, keyed by entry id.
+ * Nicknames with named slots result in one entry per slot.
+ * @param {NicknameSettings['mappings']} [mappings] - Mappings to flatten, defaults to the stored settings
+ * @returns {Map<string, MappingEntry>}
+ */
+export function flattenMappings(mappings = ensureSettings().mappings) {
+    /** @type {Map<string, MappingEntry>} */
+    const entries = new Map();
+
+    /** @param {MappingScope} scope @param {{[key: string]: StoredNickname}} map @param {{ charKey?: string, personaKey?: string, groupId?: string }} [owner={}] */
+    const addAll = (scope, map, { charKey = null, personaKey = null, groupId = null } = {}) => {
+        for (const [key, stored] of Object.entries(map ?? {})) {
+            for (const slot of getSetSlots(stored)) {
+                const id = getMappingEntryId(scope, key, charKey ?? personaKey ?? groupId, slot);
+                entries.set(id, { id, scope, key, charKey, personaKey, groupId, slot, value: getSlotValue(stored, slot) });
+            }
+        }
+    };
+
+    addAll(MappingScope.GLOBAL_PERSONA, mappings.global?.personas);
+    addAll(MappingScope.GLOBAL_CHAR, mappings.global?.chars);
+    for (const [charKey, charData] of Object.entries(mappings.char ?? {})) {
+        addAll(MappingScope.CHAR_PERSONA, charData?.personas, { charKey });
+    }
+    for (const [personaKey, personaData] of Object.entries(mappings.persona ?? {})) {
+        addAll(MappingScope.PERSONA_CHAR, personaData?.chars, { personaKey });
+    }
+    for (const [groupId, groupData] of Object.entries(mappings.group ?? {})) {
+        addAll(MappingScope.GROUP_PERSONA, groupData?.personas, { groupId });
+        addAll(MappingScope.GROUP_CHAR, groupData?.chars, { groupId });
+    }
+    return entries;
+}
+
+/**
+ * Flattens the chat-level mappings of the open chat into a map of entries, keyed by entry id.
+ * These are read-only views - chat-level nicknames are written through {@link handleNickname}.
+ * @returns {Map<string, MappingEntry>}
+ */
+export function flattenChatMappings() {
+    const context = getContext();
+    /** @type {NicknameMappings|undefined} */
+    const chatMappings = context.chatMetadata?.[EXTENSION_KEY];
+    const chatId = context.chatId ?? null;
+
+    /** @type {Map<string, MappingEntry>} */
+    const entries = new Map();
+    for (const [scope, map] of /** @type {[MappingScope, {[key: string]: StoredNickname}][]} */ ([[MappingScope.CHAT_PERSONA, chatMappings?.personas], [MappingScope.CHAT_CHAR, chatMappings?.chars]])) {
+        for (const [key, stored] of Object.entries(map ?? {})) {
+            for (const slot of getSetSlots(stored)) {
+                const id = getMappingEntryId(scope, key, chatId, slot);
+                entries.set(id, { id, scope, key, charKey: null, personaKey: null, groupId: null, chatId, slot, value: getSlotValue(stored, slot) });
+            }
+        }
+    }
+    return entries;
+}
+
+/**
+ * A stored nickname, in the flat form used by `/nickname-list` and the public API
+ * @typedef {Object} NicknameListEntry
+ * @property {'user'|'char'} type - Whether this is a persona or character nickname
+ * @property {ContextLevel} level - Context level the nickname is stored on
+ * @property {string} key - Avatar key of the persona or character
+ * @property {string|null} name - Current name of the persona or character, null if it no longer exists
+ * @property {string} [charKey] - Character the persona nickname is paired with, on the char level
+ * @property {string} [personaKey] - Persona the character nickname is paired with, on the char level
+ * @property {string} [groupId] - Group of a group-level nickname
+ * @property {string|null} [groupName] - Name of the group of a group-level nickname
+ * @property {string} [chatId] - Chat of a chat-level nickname
+ * @property {NicknameSlot} slot - Named slot of the nickname
+ * @property {string} nickname - The nickname, or pool of nicknames in text form
+ */
+
+/**
+ * Lists all stored nicknames - global, char- and group-level ones from the settings, and chat-level ones of the open chat.
+ * @param {object} [filters={}] - Only list nicknames matching all given filters
+ * @param {'user'|'char'} [filters.type] - Persona or character nicknames
+ * @param {ContextLevel} [filters.level] - Context level the nickname is stored on
+ * @param {string} [filters.key] - Avatar key of the persona or character
+ * @param {string} [filters.name] - Name of the persona or character (case and accent insensitive)
+ * @param {NicknameSlot} [filters.slot] - Named slot
+ * @returns {NicknameListEntry[]}
+ */
+export function listNicknames({ type = null, level = null, key = null, name = null, slot = null } = {}) {
+    const entries = [...flattenMappings().values(), ...flattenChatMappings().values()];
+    return entries.map(entry => {
+        const { type, context } = MAPPING_SCOPE_LEVELS[entry.scope];
+        return /** @type {NicknameListEntry} */ ({
+            type,
+            level: context,
+            key: entry.key,
+            name: type === 'char' ? getCharName(entry.key) : getPersonaName(entry.key),
+            ...(entry.charKey ? { charKey: entry.charKey } : {}),
+            ...(entry.personaKey ? { personaKey: entry.personaKey } : {}),
+            ...(entry.groupId ? { groupId: entry.groupId, groupName: getGroupName(entry.groupId) } : {}),
+            ...(entry.chatId ? { chatId: entry.chatId } : {}),
+            slot: entry.slot,
+            nickname: formatNicknamePool(entry.value),
+        });
+    }).filter(entry =>
+        (!type || entry.type === type)
+        && (!level || entry.level === level)
+        && (!key || entry.key === key)
+        && (!name || (!!entry.name && equalsIgnoreCaseAndAccents(entry.name, name)))
+        && (!slot || entry.slot === slot));
+}
+
+/**
+ * Writes (or removes, if value is empty) a single entry into the given mappings object.
+ * Does not save — callers working on the stored settings should use {@link setMappingEntry}.
+ * @param {NicknameSettings['mappings']} mappings
+ * @param {Omit<MappingEntry, 'id'|'value'>} entry
+ * @param {NicknameValue|null} value
+ */
+export function writeMappingEntry(mappings, entry, value) {
+    /** @type {{[key: string]: StoredNickname}} */
+    let map;
+    switch (entry.scope) {
+        case MappingScope.GLOBAL_PERSONA: map = mappings.global.personas; break;
+        case MappingScope.GLOBAL_CHAR: map = mappings.global.chars; break;
+        case MappingScope.CHAR_PERSONA: map = (mappings.char[entry.charKey] ??= { personas: {} }).personas; break;
+        case MappingScope.PERSONA_CHAR: map = ((mappings.persona ??= {})[entry.personaKey] ??= { chars: {} }).chars; break;
+        case MappingScope.GROUP_PERSONA: map = ((mappings.group ??= {})[entry.groupId] ??= { personas: {}, chars: {} }).personas; break;
+        case MappingScope.GROUP_CHAR: map = ((mappings.group ??= {})[entry.groupId] ??= { personas: {}, chars: {} }).chars; break;
+        default: throw new Error(`Unknown mapping scope: ${entry.scope}`);
+    }
+
+    writeSlotValue(map, entry.key, entry.slot, value);
+
+    // Don't leave empty char-level objects behind
+    if (entry.scope === MappingScope.CHAR_PERSONA && !Object.keys(map).length) {
+        delete mappings.char[entry.charKey];
+    }
+    if (entry.scope === MappingScope.PERSONA_CHAR && !Object.keys(map).length) {
+        delete mappings.persona[entry.personaKey];
+    }
+    const groupData = mappings.group?.[entry.groupId];
+    if (groupData && !Object.keys(groupData.personas).length && !Object.keys(groupData.chars).length) {
+        delete mappings.group[entry.groupId];
+    }
+}
+
+/**
+ * Sets (or removes, if value is empty) a single mapping entry in the stored settings, independent of the active chat.
+ * @param {Omit<MappingEntry, 'id'|'value'>} entry
+ * @param {string|null} value - The nickname, or several separated by {@link POOL_SEPARATOR}
+ */
+export function setMappingEntry(entry, value) {
+    trackNicknameChanges(value ? ChangeReason.SET : ChangeReason.RESET, () => {
+        writeMappingEntry(settings.mappings, entry, parseNicknamePool(value));
+        saveSettingsDebounced();
+
+        // The card can only be saved for the character currently open in the editor
+        if (entry.scope === MappingScope.GLOBAL_CHAR && entry.slot === NicknameSlot.DEFAULT && entry.key === getCharKey()) {
+            syncNicknameToV3SpecField(entry.key);
+        }
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Change Events
+// ---------------------------------------------------------------------------
+
+/** @enum {string} Custom events emitted on SillyTavern's `eventSource` */
+export const NicknameEvent = {
+    /** A nickname was set, changed or removed - emitted once per changed nickname, with a {@link NicknameChange} */
+    CHANGED: 'nickname_changed',
+};
+
+/** @enum {string} What caused a nickname change */
+export const ChangeReason = {
+    /** Set via the editor, a slash command, the model or the API */
+    SET: 'set',
+    /** Removed via the editor, a slash command or the API */
+    RESET: 'reset',
+    /** Synced from the character card's V3 `nickname` field */
+    CARD_SYNC: 'cardSync',
+    /** Imported from a bundle */
+    IMPORT: 'import',
+    /** Moved to a new key, e.g. after a character rename */
+    MIGRATE: 'migrate',
+    /** Copied to a duplicated character or persona */
+    COPY: 'copy',
+    /** Removed along with a deleted character, persona or group */
+    DELETE: 'delete',
+    /** Changed by the chat data maintenance */
+    MAINTENANCE: 'maintenance',
+    /** Written or undone by a nickname stage of the chat */
+    STAGE: 'stage',
+    /** Set from a nickname suggestion detected in a chat message */
+    SUGGESTION: 'suggestion',
+};
+
+/**
+ * Payload of {@link NicknameEvent.CHANGED}
+ * @typedef {Object} NicknameChange
+ * @property {'user'|'char'} type - Whether a persona or character nickname changed
+ * @property {string} key - Avatar key of the persona or character
+ * @property {ContextLevel} level - Context level of the changed nickname
+ * @property {NicknameSlot} slot - Named slot of the changed nickname
+ * @property {string|null} oldValue - Previous nickname or pool in text form, null if none was set
+ * @property {string|null} newValue - New nickname or pool in text form, null if it was removed
+ * @property {string|null} charKey - Character the persona nickname is paired with, on the char level
+ * @property {string|null} personaKey - Persona the character nickname is paired with, on the char level
+ * @property {string|null} groupId - Group of a group-level nickname
+ * @property {string|null} chatId - Chat of a chat-level nickname
+ * @property {ChangeReason} reason - What caused the change
+ */
+
+/** Whether changes are already being tracked, so nested helpers don't emit the same change twice */
+let isTrackingChanges = false;
+
+/**
+ * Takes a snapshot of all nicknames in the settings and the open chat.
+ * @returns {Map<string, MappingEntry>}
+ */
+function snapshotNicknames() {
+    return new Map([...flattenMappings(settings.mappings), ...flattenChatMappings()]);
+}
+
+/**
+ * Runs a function that changes nickname data, and emits {@link NicknameEvent.CHANGED} for every nickname it changed.
+ * Nested calls are tracked by the outermost call only.
+ * @template T
+ * @param {ChangeReason} reason - What causes the changes
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function trackNicknameChanges(reason, fn) {
+    if (isTrackingChanges) return fn();
+
+    isTrackingChanges = true;
+    const before = snapshotNicknames();
+    try {
+        return fn();
+    } finally {
+        isTrackingChanges = false;
+        const after = snapshotNicknames();
+        for (const id of new Set([...before.keys(), ...after.keys()])) {
+            const entry = after.get(id) ?? before.get(id);
+            const oldValue = formatNicknamePool(before.get(id)?.value) || null;
+            const newValue = formatNicknamePool(after.get(id)?.value) || null;
+            if (oldValue === newValue) continue;
+
+            const { type, context } = MAPPING_SCOPE_LEVELS[entry.scope];
+            /** @type {NicknameChange} */
+            const change = {
+                type,
+                key: entry.key,
+                level: context,
+                slot: entry.slot,
+                oldValue,
+                newValue,
+                charKey: entry.charKey,
+                personaKey: entry.personaKey,
+                groupId: entry.groupId,
+                chatId: entry.chatId ?? null,
+                reason,
+            };
+            eventSource.emit(NicknameEvent.CHANGED, change);
+        }
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Entity Settings
+// ---------------------------------------------------------------------------
+
+/** @enum {string} Settings stored per persona or character, next to their nicknames */
+export const EntitySetting = {
+    /** How the nickname is picked from a pool (`poolModes`) */
+    POOL_MODE: 'poolMode',
+    /** Whether the model may change nicknames (`toolPolicies`), characters only */
+    TOOL_POLICY: 'toolPolicy',
+    /** Change to the injected nickname note (`injectionOverrides`), characters only */
+    INJECTION_OVERRIDE: 'injectionOverride',
+    /** Conditional nickname rules (`nicknameRules`) */
+    RULES: 'rules',
+};
+
+/** Display names of the entity settings, translated where they are shown */
+export const ENTITY_SETTING_LABELS = {
+    [EntitySetting.POOL_MODE]: 'Pool mode',
+    [EntitySetting.TOOL_POLICY]: 'Model changes policy',
+    [EntitySetting.INJECTION_OVERRIDE]: 'Prompt note',
+    [EntitySetting.RULES]: 'Conditional nicknames',
+};
+
+/**
+ * Where each entity setting is stored in the settings, per entity type
+ * @type {{ setting: EntitySetting, type: 'user'|'char', path: string[] }[]}
+ */
+const ENTITY_SETTING_LOCATIONS = [
+    { setting: EntitySetting.POOL_MODE, type: 'user', path: ['poolModes', 'personas'] },
+    { setting: EntitySetting.POOL_MODE, type: 'char', path: ['poolModes', 'chars'] },
+    { setting: EntitySetting.TOOL_POLICY, type: 'char', path: ['toolPolicies'] },
+    { setting: EntitySetting.INJECTION_OVERRIDE, type: 'char', path: ['injectionOverrides'] },
+    { setting: EntitySetting.RULES, type: 'user', path: ['nicknameRules', 'personas'] },
+    { setting: EntitySetting.RULES, type: 'char', path: ['nicknameRules', 'chars'] },
+];
+
+/**
+ * A single entity setting, flattened out of the settings
+ * @typedef {Object} EntitySettingEntry
+ * @property {string} id - Unique id of the entry, stable across different settings objects
+ * @property {EntitySetting} setting - Which setting it is
+ * @property {'user'|'char'} type - Whether the setting belongs to a persona or a character
+ * @property {string} key - Persona or character key the setting belongs to
+ * @property {unknown} value - The stored setting
+ */
+
+/**
+ * Gets the object an entity setting is stored in, keyed by persona or character key.
+ * @param {object} source - Settings in the structure of the extension settings
+ * @param {string[]} path - Location of the object, from {@link ENTITY_SETTING_LOCATIONS}
+ * @param {boolean} [create=false] - Whether missing objects along the path are created
+ * @returns {{[key: string]: unknown}|undefined} The object, or undefined if it doesn't exist
+ */
+function getEntitySettingMap(source, path, create = false) {
+    let map = source;
+    for (const key of path) {
+        if (create) map[key] ??= {};
+        map = map?.[key];
+    }
+    return map && typeof map === 'object' && !Array.isArray(map) ? map : undefined;
+}
+
+/**
+ * Flattens the entity settings into a map of entries, keyed by entry id.
+ * @param {object} [source] - Settings in the structure of the extension settings, defaults to the stored settings
+ * @returns {Map<string, EntitySettingEntry>}
+ */
+export function flattenEntitySettings(source = ensureSettings()) {
+    /** @type {Map<string, EntitySettingEntry>} */
+    const entries = new Map();
+    for (const { setting, type, path } of ENTITY_SETTING_LOCATIONS) {
+        for (const [key, value] of Object.entries(getEntitySettingMap(source, path) ?? {})) {
+            const id = JSON.stringify([setting, type, key]);
+            entries.set(id, { id, setting, type, key, value });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Writes (or removes, if value is null) a single entity setting into the given settings object.
+ * Does not save.
+ * @param {object} target - Settings in the structure of the extension settings
+ * @param {Omit<EntitySettingEntry, 'id'|'value'>} entry
+ * @param {unknown} value
+ */
+export function writeEntitySettingEntry(target, { setting, type, key }, value) {
+    const location = ENTITY_SETTING_LOCATIONS.find(location => location.setting === setting && location.type === type);
+    if (!location) throw new Error(`Unknown entity setting: ${setting} of ${type}`);
+
+    const map = getEntitySettingMap(target, location.path, true);
+    if (value === null || value === undefined) {
+        delete map[key];
+    } else {
+        map[key] = value;
+    }
+}
+
 // ---------------------------------------------------------------------------
 // Migration Helpers
 // ---------------------------------------------------------------------------
@@ -445,17 +1817,112 @@ export async function seedNicknameFromV3SpecField(charAvatarKey, { onConflict =
  * @param {string} newAvatarKey
  */
 export function migrateCharKeys(oldAvatarKey, newAvatarKey) {
-    // Migrate global mappings
-    if (settings.mappings.global.chars[oldAvatarKey]) {
-        settings.mappings.global.chars[newAvatarKey] = settings.mappings.global.chars[oldAvatarKey];
-        delete settings.mappings.global.chars[oldAvatarKey];
-    }
-    // Migrate char-level mappings
-    if (settings.mappings.char[oldAvatarKey]) {
-        settings.mappings.char[newAvatarKey] = settings.mappings.char[oldAvatarKey];
-        delete settings.mappings.char[oldAvatarKey];
-    }
-    saveSettingsDebounced();
+    trackNicknameChanges(ChangeReason.MIGRATE, () => {
+        // Migrate global mappings
+        if (settings.mappings.global.chars[oldAvatarKey]) {
+            settings.mappings.global.chars[newAvatarKey] = settings.mappings.global.chars[oldAvatarKey];
+            delete settings.mappings.global.chars[oldAvatarKey];
+        }
+        // Migrate char-level mappings
+        if (settings.mappings.char[oldAvatarKey]) {
+            settings.mappings.char[newAvatarKey] = settings.mappings.char[oldAvatarKey];
+            delete settings.mappings.char[oldAvatarKey];
+        }
+        for (const personaData of Object.values(settings.mappings.persona)) {
+            if (personaData.chars[oldAvatarKey]) {
+                personaData.chars[newAvatarKey] = personaData.chars[oldAvatarKey];
+                delete personaData.chars[oldAvatarKey];
+            }
+        }
+        // Migrate group-level mappings
+        for (const groupData of Object.values(settings.mappings.group)) {
+            if (groupData.chars[oldAvatarKey]) {
+                groupData.chars[newAvatarKey] = groupData.chars[oldAvatarKey];
+                delete groupData.chars[oldAvatarKey];
+            }
+        }
+        // Migrate pool mode, rules, function calling policy and nickname note override
+        if (settings.poolModes.chars[oldAvatarKey]) {
+            settings.poolModes.chars[newAvatarKey] = settings.poolModes.chars[oldAvatarKey];
+            delete settings.poolModes.chars[oldAvatarKey];
+        }
+        if (settings.nicknameRules.chars[oldAvatarKey]) {
+            settings.nicknameRules.chars[newAvatarKey] = settings.nicknameRules.chars[oldAvatarKey];
+            delete settings.nicknameRules.chars[oldAvatarKey];
+        }
+        if (settings.toolPolicies[oldAvatarKey]) {
+            settings.toolPolicies[newAvatarKey] = settings.toolPolicies[oldAvatarKey];
+            delete settings.toolPolicies[oldAvatarKey];
+        }
+        if (settings.injectionOverrides[oldAvatarKey]) {
+            settings.injectionOverrides[newAvatarKey] = settings.injectionOverrides[oldAvatarKey];
+            delete settings.injectionOverrides[oldAvatarKey];
+        }
+        saveSettingsDebounced();
+    });
+}
+
+/**
+ * Migrates persona avatar keys, moving the global persona nickname and all
+ * char-level entries of that persona to the new key.
+ * @param {string} oldAvatarId
+ * @param {string} newAvatarId
+ */
+export function migratePersonaKeys(oldAvatarId, newAvatarId) {
+    trackNicknameChanges(ChangeReason.MIGRATE, () => {
+        // Migrate global mappings
+        if (settings.mappings.global.personas[oldAvatarId]) {
+            settings.mappings.global.personas[newAvatarId] = settings.mappings.global.personas[oldAvatarId];
+            delete settings.mappings.global.personas[oldAvatarId];
+        }
+        // Migrate char-level mappings
+        for (const charData of Object.values(settings.mappings.char)) {
+            if (charData.personas[oldAvatarId]) {
+                charData.personas[newAvatarId] = charData.personas[oldAvatarId];
+                delete charData.personas[oldAvatarId];
+            }
+        }
+        if (settings.mappings.persona[oldAvatarId]) {
+            settings.mappings.persona[newAvatarId] = settings.mappings.persona[oldAvatarId];
+            delete settings.mappings.persona[oldAvatarId];
+        }
+        // Migrate group-level mappings
+        for (const groupData of Object.values(settings.mappings.group)) {
+            if (groupData.personas[oldAvatarId]) {
+                groupData.personas[newAvatarId] = groupData.personas[oldAvatarId];
+                delete groupData.personas[oldAvatarId];
+            }
+        }
+        // Migrate pool mode and rules
+        if (settings.poolModes.personas[oldAvatarId]) {
+            settings.poolModes.personas[newAvatarId] = settings.poolModes.personas[oldAvatarId];
+            delete settings.poolModes.personas[oldAvatarId];
+        }
+        if (settings.nicknameRules.personas[oldAvatarId]) {
+            settings.nicknameRules.personas[newAvatarId] = settings.nicknameRules.personas[oldAvatarId];
+            delete settings.nicknameRules.personas[oldAvatarId];
+        }
+        saveSettingsDebounced();
+    });
+}
+
+/**
+ * Migrates a group id, moving all group-level nicknames to the new group.
+ * Nicknames already set in the target group are overwritten.
+ * @param {string} oldGroupId
+ * @param {string} newGroupId
+ */
+export function migrateGroupKeys(oldGroupId, newGroupId) {
+    trackNicknameChanges(ChangeReason.MIGRATE, () => {
+        const groupData = settings.mappings.group[oldGroupId];
+        if (!groupData) return;
+
+        const target = settings.mappings.group[newGroupId] ??= { personas: {}, chars: {} };
+        Object.assign(target.personas, groupData.personas);
+        Object.assign(target.chars, groupData.chars);
+        delete settings.mappings.group[oldGroupId];
+        saveSettingsDebounced();
+    });
 }
 
 /**
@@ -470,11 +1937,13 @@ export function migrateChatCharKeys(chat, oldAvatarKey, newAvatarKey) {
     }
     /** @type {NicknameMappings} */
     const chatMappings = chat[0].chat_metadata[EXTENSION_KEY];
-    if (chatMappings && chatMappings.chars[oldAvatarKey]) {
-        chatMappings.chars[newAvatarKey] = chatMappings.chars[oldAvatarKey];
-        delete chatMappings.chars[oldAvatarKey];
+    for (const map of [chatMappings?.chars, chatMappings?.stages?.chars, chatMappings?.ignoredSuggestions?.chars]) {
+        if (!map?.[oldAvatarKey]) continue;
+        map[newAvatarKey] = map[oldAvatarKey];
+        delete map[oldAvatarKey];
     }
     // No save, we are modifying an unloaded temporarily queried chat via event here
+    // No change events either, as the chat is not the open one
 }
 
 /**
@@ -483,13 +1952,16 @@ export function migrateChatCharKeys(chat, oldAvatarKey, newAvatarKey) {
  * @param {string} newAvatarKey
  */
 export function migrateCurrentChatCharKey(oldAvatarKey, newAvatarKey) {
-    /** @type {NicknameMappings} */
-    const chatMappings = getContext().chatMetadata[EXTENSION_KEY];
-    if (chatMappings?.chars[oldAvatarKey]) {
-        chatMappings.chars[newAvatarKey] = chatMappings.chars[oldAvatarKey];
-        delete chatMappings.chars[oldAvatarKey];
-        saveChatDebounced();
-    }
+    trackNicknameChanges(ChangeReason.MIGRATE, () => {
+        /** @type {NicknameMappings} */
+        const chatMappings = getContext().chatMetadata[EXTENSION_KEY];
+        for (const map of [chatMappings?.chars, chatMappings?.stages?.chars, chatMappings?.ignoredSuggestions?.chars]) {
+            if (!map?.[oldAvatarKey]) continue;
+            map[newAvatarKey] = map[oldAvatarKey];
+            delete map[oldAvatarKey];
+            saveChatDebounced();
+        }
+    });
 }
 
 // ---------------------------------------------------------------------------
@@ -498,28 +1970,61 @@ export function migrateCurrentChatCharKey(oldAvatarKey, newAvatarKey) {
 
 /**
  * Removes all nickname data for a deleted character.
- * Cleans global char mapping and any char-level persona mappings stored under
- * this character's key. The current chat's metadata is left as-is — it will
- * naturally become stale once the chat is gone along with the character.
+ * Cleans global char mapping, any char-level persona mappings stored under
+ * this character's key, and its char-level and group-level nicknames across
+ * all personas and groups. The current chat's metadata is left as-is — it will naturally become stale
+ * once the chat is gone along with the character.
  * @param {string} avatarKey - Character avatar key (e.g. "char.png")
  */
 export function deleteCharNicknameData(avatarKey) {
-    delete settings.mappings.global.chars[avatarKey];
-    delete settings.mappings.char[avatarKey];
-    saveSettingsDebounced();
+    trackNicknameChanges(ChangeReason.DELETE, () => {
+        delete settings.mappings.global.chars[avatarKey];
+        delete settings.mappings.char[avatarKey];
+        for (const personaData of Object.values(settings.mappings.persona)) {
+            delete personaData.chars[avatarKey];
+        }
+        for (const groupData of Object.values(settings.mappings.group)) {
+            delete groupData.chars[avatarKey];
+        }
+        delete settings.poolModes.chars[avatarKey];
+        delete settings.nicknameRules.chars[avatarKey];
+        delete settings.toolPolicies[avatarKey];
+        delete settings.injectionOverrides[avatarKey];
+        saveSettingsDebounced();
+    });
 }
 
 /**
  * Removes all nickname data for a deleted persona.
- * Cleans global persona mapping and char-level entries across all characters.
+ * Cleans global persona mapping, char-level and group-level entries across all
+ * characters and groups, and the character nicknames stored under this persona's key.
  * @param {string} avatarId - Persona avatar ID (e.g. "user.png")
  */
 export function deletePersonaNicknameData(avatarId) {
-    delete settings.mappings.global.personas[avatarId];
-    for (const charData of Object.values(settings.mappings.char)) {
-        delete charData.personas[avatarId];
-    }
-    saveSettingsDebounced();
+    trackNicknameChanges(ChangeReason.DELETE, () => {
+        delete settings.mappings.global.personas[avatarId];
+        for (const charData of Object.values(settings.mappings.char)) {
+            delete charData.personas[avatarId];
+        }
+        delete settings.mappings.persona[avatarId];
+        for (const groupData of Object.values(settings.mappings.group)) {
+            delete groupData.personas[avatarId];
+        }
+        delete settings.poolModes.personas[avatarId];
+        delete settings.nicknameRules.personas[avatarId];
+        saveSettingsDebounced();
+    });
+}
+
+/**
+ * Removes all group-level nickname data of a deleted group.
+ * @param {string} groupId - Group id
+ */
+export function deleteGroupNicknameData(groupId) {
+    trackNicknameChanges(ChangeReason.DELETE, () => {
+        delete settings.mappings.group[groupId];
+        saveSettingsDebounced();
+    });
 }
 
 // ---------------------------------------------------------------------------
@@ -528,48 +2033,186 @@ export function deletePersonaNicknameData(avatarId) {
 
 /**
  * Copies all nickname data from a source character to a new (duplicated) character.
- * Copies global char nickname and char-level persona mappings.
+ * Copies global char nickname, char-level persona mappings and its char-level nicknames for all personas.
+ * Group-level nicknames are not copied, as the duplicate is not a member of the source's groups.
  * No-op if the source character has no nickname data.
  * @param {string} sourceAvatarKey - Source character avatar key
  * @param {string} targetAvatarKey - New character avatar key
  */
 export function copyCharNicknameData(sourceAvatarKey, targetAvatarKey) {
-    let changed = false;
+    trackNicknameChanges(ChangeReason.COPY, () => {
+        let changed = false;
 
-    if (settings.mappings.global.chars[sourceAvatarKey]) {
-        settings.mappings.global.chars[targetAvatarKey] = settings.mappings.global.chars[sourceAvatarKey];
-        changed = true;
-    }
-    if (settings.mappings.char[sourceAvatarKey]) {
-        settings.mappings.char[targetAvatarKey] = structuredClone(settings.mappings.char[sourceAvatarKey]);
-        changed = true;
-    }
+        if (settings.mappings.global.chars[sourceAvatarKey]) {
+            settings.mappings.global.chars[targetAvatarKey] = structuredClone(settings.mappings.global.chars[sourceAvatarKey]);
+            changed = true;
+        }
+        if (settings.mappings.char[sourceAvatarKey]) {
+            settings.mappings.char[targetAvatarKey] = structuredClone(settings.mappings.char[sourceAvatarKey]);
+            changed = true;
+        }
+        for (const personaData of Object.values(settings.mappings.persona)) {
+            if (personaData.chars[sourceAvatarKey]) {
+                personaData.chars[targetAvatarKey] = structuredClone(personaData.chars[sourceAvatarKey]);
+                changed = true;
+            }
+        }
+        if (settings.poolModes.chars[sourceAvatarKey]) {
+            settings.poolModes.chars[targetAvatarKey] = settings.poolModes.chars[sourceAvatarKey];
+            changed = true;
+        }
+        if (settings.nicknameRules.chars[sourceAvatarKey]) {
+            settings.nicknameRules.chars[targetAvatarKey] = structuredClone(settings.nicknameRules.chars[sourceAvatarKey]);
+            changed = true;
+        }
+        if (settings.toolPolicies[sourceAvatarKey]) {
+            settings.toolPolicies[targetAvatarKey] = settings.toolPolicies[sourceAvatarKey];
+            changed = true;
+        }
+        if (settings.injectionOverrides[sourceAvatarKey]) {
+            settings.injectionOverrides[targetAvatarKey] = structuredClone(settings.injectionOverrides[sourceAvatarKey]);
+            changed = true;
+        }
 
-    if (changed) saveSettingsDebounced();
+        if (changed) saveSettingsDebounced();
+    });
 }
 
 /**
  * Copies all nickname data from a source persona to a new (duplicated) persona.
- * Copies global persona nickname and all char-level persona entries.
+ * Copies global persona nickname, all char-level persona entries and its char-level character nicknames.
  * No-op if the source persona has no nickname data.
  * @param {string} sourceAvatarId - Source persona avatar ID
  * @param {string} targetAvatarId - New persona avatar ID
  */
 export function copyPersonaNicknameData(sourceAvatarId, targetAvatarId) {
-    let changed = false;
+    trackNicknameChanges(ChangeReason.COPY, () => {
+        let changed = false;
 
-    if (settings.mappings.global.personas[sourceAvatarId]) {
-        settings.mappings.global.personas[targetAvatarId] = settings.mappings.global.personas[sourceAvatarId];
-        changed = true;
-    }
-    for (const charData of Object.values(settings.mappings.char)) {
-        if (charData.personas[sourceAvatarId]) {
-            charData.personas[targetAvatarId] = charData.personas[sourceAvatarId];
+        if (settings.mappings.global.personas[sourceAvatarId]) {
+            settings.mappings.global.personas[targetAvatarId] = structuredClone(settings.mappings.global.personas[sourceAvatarId]);
             changed = true;
         }
+        for (const charData of Object.values(settings.mappings.char)) {
+            if (charData.personas[sourceAvatarId]) {
+                charData.personas[targetAvatarId] = structuredClone(charData.personas[sourceAvatarId]);
+                changed = true;
+            }
+        }
+        if (settings.mappings.persona[sourceAvatarId]) {
+            settings.mappings.persona[targetAvatarId] = structuredClone(settings.mappings.persona[sourceAvatarId]);
+            changed = true;
+        }
+        if (settings.poolModes.personas[sourceAvatarId]) {
+            settings.poolModes.personas[targetAvatarId] = settings.poolModes.personas[sourceAvatarId];
+            changed = true;
+        }
+        if (settings.nicknameRules.personas[sourceAvatarId]) {
+            settings.nicknameRules.personas[targetAvatarId] = structuredClone(settings.nicknameRules.personas[sourceAvatarId]);
+            changed = true;
+        }
+
+        if (changed) saveSettingsDebounced();
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Lifecycle Helpers — Orphans
+// ---------------------------------------------------------------------------
+
+/**
+ * A character, persona or group key that has nickname data stored, but no longer exists
+ * @typedef {Object} OrphanedMapping
+ * @property {'user'|'char'|'group'} type - Whether the key belongs to a persona, a character or a group
+ * @property {string} key - The missing persona or character avatar key, or group id
+ * @property {MappingEntry[]} entries - All mapping entries stored under this key
+ * @property {EntitySetting[]} settings - Entity settings stored under this key, e.g. a pool mode
+ */
+
+/**
+ * Cross-checks every key in the stored mappings and entity settings against the existing characters, personas and groups.
+ * Catches data the delete events never cleaned up, e.g. characters removed by file or while
+ * the extension was disabled.
+ * @returns {OrphanedMapping[]}
+ */
+export function findOrphanedMappings() {
+    const context = getContext();
+    const charKeys = new Set(context.characters.map(c => c.avatar));
+    const personaKeys = new Set(Object.keys(context.powerUserSettings.personas ?? {}));
+    const groupIds = new Set(context.groups.map(g => g.id));
+
+    /** @type {Map<string, OrphanedMapping>} */
+    const orphans = new Map();
+    /** @param {'user'|'char'|'group'} type @param {string} key @returns {OrphanedMapping} */
+    const getOrphan = (type, key) => {
+        const id = `${type}:${key}`;
+        if (!orphans.has(id)) orphans.set(id, { type, key, entries: [], settings: [] });
+        return orphans.get(id);
+    };
+    /** @param {'user'|'char'|'group'} type @param {string} key @param {MappingEntry} entry */
+    const addOrphan = (type, key, entry) => getOrphan(type, key).entries.push(entry);
+
+    for (const entry of flattenMappings().values()) {
+        switch (entry.scope) {
+            case MappingScope.GLOBAL_PERSONA:
+                if (!personaKeys.has(entry.key)) addOrphan('user', entry.key, entry);
+                break;
+            case MappingScope.GLOBAL_CHAR:
+                if (!charKeys.has(entry.key)) addOrphan('char', entry.key, entry);
+                break;
+            case MappingScope.CHAR_PERSONA:
+                if (!charKeys.has(entry.charKey)) addOrphan('char', entry.charKey, entry);
+                if (!personaKeys.has(entry.key)) addOrphan('user', entry.key, entry);
+                break;
+            case MappingScope.PERSONA_CHAR:
+                if (!personaKeys.has(entry.personaKey)) addOrphan('user', entry.personaKey, entry);
+                if (!charKeys.has(entry.key)) addOrphan('char', entry.key, entry);
+                break;
+            case MappingScope.GROUP_PERSONA:
+                if (!groupIds.has(entry.groupId)) addOrphan('group', entry.groupId, entry);
+                if (!personaKeys.has(entry.key)) addOrphan('user', entry.key, entry);
+                break;
+            case MappingScope.GROUP_CHAR:
+                if (!groupIds.has(entry.groupId)) addOrphan('group', entry.groupId, entry);
+                if (!charKeys.has(entry.key)) addOrphan('char', entry.key, entry);
+                break;
+        }
+    }
+
+    // Settings can be left without any nickname, e.g. a pool mode
+    for (const entry of flattenEntitySettings().values()) {
+        const existingKeys = entry.type === 'char' ? charKeys : personaKeys;
+        if (!existingKeys.has(entry.key)) getOrphan(entry.type, entry.key).settings.push(entry.setting);
     }
+    return [...orphans.values()];
+}
 
-    if (changed) saveSettingsDebounced();
+/**
+ * Removes all nickname data stored under the given orphaned keys.
+ * @param {OrphanedMapping[]} orphans
+ */
+export function pruneOrphanedMappings(orphans) {
+    for (const orphan of orphans) {
+        switch (orphan.type) {
+            case 'char': deleteCharNicknameData(orphan.key); break;
+            case 'group': deleteGroupNicknameData(orphan.key); break;
+            default: deletePersonaNicknameData(orphan.key); break;
+        }
+    }
+}
+
+/**
+ * Moves all nickname data of an orphaned key to an existing character, persona or group.
+ * Nicknames already set on the target at the same level are overwritten.
+ * @param {OrphanedMapping} orphan
+ * @param {string} targetKey - Avatar key of the existing character or persona, or id of the existing group
+ */
+export function relinkOrphanedMapping(orphan, targetKey) {
+    switch (orphan.type) {
+        case 'char': migrateCharKeys(orphan.key, targetKey); break;
+        case 'group': migrateGroupKeys(orphan.key, targetKey); break;
+        default: migratePersonaKeys(orphan.key, targetKey); break;
+    }
 }
 
 // ---------------------------------------------------------------------------
@@ -579,8 +2222,9 @@ export function copyPersonaNicknameData(sourceAvatarId, targetAvatarId) {
 /**
  * Removes all nickname data added by this extension:
  *  - The entire extension settings block (all global + char-level mappings)
- * Note: chat-level metadata (stored in individual chat files) cannot be
- * cleaned up automatically without loading and re-saving every chat file.
+ * Note: chat-level metadata (stored in individual chat files) is not cleaned up here,
+ * as that requires loading and re-saving every chat file. The chat maintenance tool
+ * in the settings panel does that, and should be run before uninstalling.
  * Uses a direct (non-debounced) save to guarantee the wipe is persisted
  * before any page reload following an extension uninstall.
  */
@@ -589,7 +2233,7 @@ export async function cleanAllNicknameData() {
     await saveSettings();
 
     // Warn chat-based nicknames will not be cleaned up
-    toastr.warning(t`Chat-based nickname metadata will not be removed automatically.`, t`Nicknames Cleanup`);
+    toastr.warning(t`Chat-based nickname metadata will not be removed automatically. Use "Chat Data" in the extension settings before uninstalling to remove it from all chats.`, t`Nicknames Cleanup`);
 }
 
 // ---------------------------------------------------------------------------
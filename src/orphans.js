@@ -0,0 +1,172 @@
+/**
+ * Orphaned mapping cleanup for the Nicknames extension.
+ * Reports nickname data stored for characters, personas or groups that no longer exist,
+ * and lets the user prune it or re-link it to an existing entity.
+ */
+
+import { renderExtensionTemplateAsync } from '../../../../extensions.js';
+import { Popup, POPUP_TYPE, POPUP_RESULT } from '/scripts/popup.js';
+import { t, translate } from '/scripts/i18n.js';
+import { getContext } from '/scripts/st-context.js';
+import { EXTENSION_NAME } from '../index.js';
+import { findOrphanedMappings, pruneOrphanedMappings, relinkOrphanedMapping, MappingScope, getCharName, getPersonaName, getGroupName, formatNicknamePool, NicknameSlot, ENTITY_SETTING_LABELS } from './nicknames.js';
+import { refreshAllUI } from './ui.js';
+
+/** Value of the action select to remove the orphaned data */
+const ACTION_PRUNE = '#prune';
+/** Value of the action select to leave the orphaned data untouched */
+const ACTION_KEEP = '#keep';
+
+/** @type {{[type: string]: { icon: string, title: string }}} */
+const ORPHAN_TYPE_DISPLAY = {
+    user: { icon: 'fa-id-badge', title: 'Persona' },
+    char: { icon: 'fa-user', title: 'Character' },
+    group: { icon: 'fa-users', title: 'Group' },
+};
+
+/**
+ * Gets all existing entities an orphan of the given type can be re-linked to, sorted by name.
+ * @param {'user'|'char'|'group'} type
+ * @returns {{ key: string, name: string }[]}
+ */
+function getRelinkTargets(type) {
+    const context = getContext();
+    const targets = type === 'char' ? context.characters.map(c => ({ key: c.avatar, name: c.name }))
+        : type === 'group' ? context.groups.map(g => ({ key: g.id, name: g.name }))
+            : Object.entries(context.powerUserSettings.personas ?? {}).map(([key, name]) => ({ key, name }));
+    return targets.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/** Orphan types with their singular and plural label, in the order they are counted */
+const ORPHAN_TYPE_LABELS = /** @type {const} */ ([
+    ['char', 'character', 'characters'],
+    ['user', 'persona', 'personas'],
+    ['group', 'group', 'groups'],
+]);
+
+/**
+ * Describes how many orphans of each type there are, e.g. "2 characters, 1 persona".
+ * @param {import('./nicknames.js').OrphanedMapping[]} orphans
+ * @returns {string}
+ */
+export function describeOrphanCounts(orphans) {
+    const counts = [];
+    for (const [type, singular, plural] of ORPHAN_TYPE_LABELS) {
+        const count = orphans.filter(orphan => orphan.type === type).length;
+        if (count) counts.push(`${count} ${translate(count === 1 ? singular : plural)}`);
+    }
+    return counts.join(', ');
+}
+
+/**
+ * Describes a single stored entry of an orphan, e.g. `Global: "Bob"` or `For Seraphina: "Bob"`.
+ * @param {import('./nicknames.js').MappingEntry} entry
+ * @param {'user'|'char'|'group'} orphanType
+ * @returns {string}
+ */
+function describeEntry(entry, orphanType) {
+    // Quoted nickname, followed by its slot unless it is the regular nickname
+    const value = `"${formatNicknamePool(entry.value)}"${entry.slot !== NicknameSlot.DEFAULT ? ` [${entry.slot}]` : ''}`;
+    switch (entry.scope) {
+        case MappingScope.GROUP_PERSONA:
+        case MappingScope.GROUP_CHAR: {
+            // Orphaned group: show which member or persona the nickname belongs to
+            if (orphanType === 'group') {
+                const name = entry.scope === MappingScope.GROUP_CHAR ? getCharName(entry.key) : getPersonaName(entry.key);
+                return t`${name ?? entry.key}: ${value}`;
+            }
+            return t`In group ${getGroupName(entry.groupId) ?? entry.groupId}: ${value}`;
+        }
+        case MappingScope.CHAR_PERSONA:
+            // Orphaned char with char-level persona nicknames: show which persona they belong to
+            if (orphanType === 'char') return t`Persona ${entry.key}: ${value}`;
+            return t`For ${getCharName(entry.charKey) ?? entry.charKey}: ${value}`;
+        case MappingScope.PERSONA_CHAR:
+            // Orphaned persona with char-level character nicknames: show which character they belong to
+            if (orphanType === 'user') return t`Character ${getCharName(entry.key) ?? entry.key}: ${value}`;
+            return t`For persona ${getPersonaName(entry.personaKey) ?? entry.personaKey}: ${value}`;
+        default:
+            return t`Global: ${value}`;
+    }
+}
+
+/**
+ * Creates the table row for an orphan, with an action select to prune, keep or re-link it.
+ * @param {import('./nicknames.js').OrphanedMapping} orphan
+ * @param {number} index
+ * @returns {JQuery<HTMLElement>}
+ */
+function createOrphanRow(orphan, index) {
+    const $row = $('<tr>').attr('data-index', index);
+
+    $('<td>').append(
+        $('<i class="fa-solid fa-fw">')
+            .addClass(ORPHAN_TYPE_DISPLAY[orphan.type].icon)
+            .attr('title', translate(ORPHAN_TYPE_DISPLAY[orphan.type].title)),
+    ).appendTo($row);
+    $('<td class="nickname-orphan-key">').text(orphan.key).appendTo($row);
+    $('<td>').append(
+        orphan.entries.map(entry => $('<div>').text(describeEntry(entry, orphan.type))),
+        orphan.settings.map(setting => $('<div class="nickname-orphan-setting">').text(translate(ENTITY_SETTING_LABELS[setting]))),
+    ).appendTo($row);
+
+    const $select = $('<select class="nickname-orphan-action text_pole">');
+    // Keep is the default, so nothing is deleted without choosing it
+    $('<option>').val(ACTION_KEEP).text(t`Keep`).appendTo($select);
+    $('<option>').val(ACTION_PRUNE).text(t`Prune`).appendTo($select);
+    const $group = $('<optgroup>').attr('label', t`Re-link to`).appendTo($select);
+    for (const target of getRelinkTargets(orphan.type)) {
+        $('<option>').val(target.key).text(`${target.name} (${target.key})`).appendTo($group);
+    }
+    $('<td>').append($select).appendTo($row);
+
+    return $row;
+}
+
+/**
+ * Scans for orphaned mappings and shows a popup to prune or re-link them.
+ * @returns {Promise<void>}
+ */
+export async function openOrphanCleanup() {
+    const orphans = findOrphanedMappings();
+    if (!orphans.length) {
+        toastr.success(t`No orphaned nicknames found.`, t`Nicknames Cleanup`);
+        return;
+    }
+
+    const html = await renderExtensionTemplateAsync(`third-party/${EXTENSION_NAME}`, 'templates/orphan-cleanup');
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const container = /** @type {HTMLElement} */ (template.content.firstElementChild);
+
+    $(container).find('.nickname-orphan-summary').text(t`Found nickname data for ${describeOrphanCounts(orphans)} that no longer exist.`);
+    $(container).find('tbody').append(orphans.map(createOrphanRow));
+
+    const popup = new Popup(container, POPUP_TYPE.CONFIRM, null, {
+        okButton: t`Apply`,
+        cancelButton: t`Cancel`,
+        wide: true,
+        allowVerticalScrolling: true,
+    });
+    const result = await popup.show();
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+    let pruned = 0, relinked = 0;
+    $(container).find('tbody tr').each(function () {
+        const orphan = orphans[Number(this.dataset.index)];
+        const action = String($(this).find('.nickname-orphan-action').val());
+        if (action === ACTION_KEEP) return;
+        if (action === ACTION_PRUNE) {
+            pruneOrphanedMappings([orphan]);
+            pruned++;
+        } else {
+            relinkOrphanedMapping(orphan, action);
+            relinked++;
+        }
+    });
+
+    if (pruned || relinked) {
+        refreshAllUI();
+        toastr.success(t`Pruned ${pruned} and re-linked ${relinked} orphaned entries.`, t`Nicknames Cleanup`);
+    }
+}
@@ -0,0 +1,110 @@
+/**
+ * Nicknames in the names SillyTavern adds around messages in the prompt.
+ * - Stopping strings: ST stops the model from writing "Name:" lines for the user and other group members,
+ *   but only for the full names. Once the model knows the nicknames, it writes those instead.
+ * - Message names: the names used in "include names" prefixes and `{{name}}` in instruct sequences.
+ */
+
+import { eventSource, event_types, main_api, user_avatar } from '../../../../../script.js';
+import { addEphemeralStoppingString, power_user } from '../../../../power-user.js';
+import { getContext } from '/scripts/st-context.js';
+import { addGenerateInterceptorHandler, getInterceptedMessageIndex } from './generate-interceptor.js';
+import { ContextLevel, getNicknameForCharAvatar, getNicknameForMessage, getNicknameForPersonaAvatar, nicknameSettings } from './nicknames.js';
+
+/**
+ * Gets the nickname of a persona or character, if one is set and differs from the full name.
+ * @param {import('./nicknames.js').NicknameResult} result
+ * @param {string} fullName
+ * @returns {string|null}
+ */
+function getDifferentNickname(result, fullName) {
+    return result.context !== ContextLevel.NONE && result.name && result.name !== fullName ? result.name : null;
+}
+
+/**
+ * Gets the stopping strings for the nicknames of the next generation.
+ * Mirrors the name-based stopping strings of SillyTavern (`getStoppingStrings`), with nicknames instead of full names.
+ * @param {string} type - Generation type, e.g. 'normal', 'impersonate' or 'continue'
+ * @returns {string[]}
+ */
+export function getNicknameStoppingStrings(type) {
+    const context = getContext();
+    const charKey = context.characters[context.characterId]?.avatar ?? null;
+    const userNickname = user_avatar ? getDifferentNickname(getNicknameForPersonaAvatar(user_avatar, charKey), context.name1) : null;
+    const charNickname = charKey ? getDifferentNickname(getNicknameForCharAvatar(charKey, user_avatar), context.name2) : null;
+
+    // Other group members are never generating right now, so they always stop
+    const memberNicknames = (context.groupId ? context.groups.find(group => group.id === context.groupId)?.members ?? [] : [])
+        .filter(memberKey => memberKey !== charKey)
+        .map(memberKey => {
+            const member = context.characters.find(c => c.avatar === memberKey);
+            return member ? getDifferentNickname(getNicknameForCharAvatar(memberKey, user_avatar), member.name) : null;
+        })
+        .filter(Boolean);
+
+    const isImpersonate = type === 'impersonate';
+    const isContinueOfUser = type === 'continue' && !!context.chat.at(-1)?.is_user;
+    const stopNames = [
+        userNickname,
+        ...(isImpersonate || isContinueOfUser ? [charNickname] : []),
+        ...memberNicknames,
+    ].filter(Boolean);
+
+    /** @type {string[]} */
+    const result = [];
+    if (power_user.context.names_as_stop_strings) {
+        result.push(...stopNames.map(name => `\n${name}:`));
+    }
+
+    // Instruct sequences with {{name}} - the user's input and the other members' output sequences
+    const instruct = power_user.instruct;
+    if (instruct.enabled) {
+        /** @param {string} sequence @param {string} name */
+        const addSequence = (sequence, name) => {
+            if (!/{{name}}/i.test(sequence ?? '')) return;
+            const named = sequence.replace(/{{name}}/gi, name);
+            if (!named.trim()) return;
+            const wrapped = instruct.wrap ? `\n${named}` : named;
+            result.push(instruct.macro ? context.substituteParams(wrapped) : wrapped);
+        };
+        if (userNickname) addSequence(instruct.input_sequence, userNickname);
+        for (const name of stopNames.filter(name => name !== userNickname)) {
+            addSequence(instruct.output_sequence, name);
+        }
+    }
+
+    return [...new Set(result)];
+}
+
+/**
+ * Generation interceptor handler — uses the nicknames as sender names of the messages sent to the model.
+ * @type {import('./generate-interceptor.js').GenerateInterceptorHandler}
+ */
+function applyNicknamesToMessageNames(chat) {
+    if (!nicknameSettings.useForPromptNames) return;
+
+    for (let i = 0; i < chat.length; i++) {
+        const message = chat[i];
+        if (!message || message.is_system) continue;
+
+        // Pools pick per message, same as the nickname shown on the message
+        const result = getNicknameForMessage(message, getInterceptedMessageIndex(i));
+        const nickname = result ? getDifferentNickname(result, message.name) : null;
+        if (nickname) chat[i] = { ...message, name: nickname };
+    }
+}
+
+/**
+ * Registers the stopping string and message name hooks.
+ * They are always registered, and check the settings on every generation.
+ */
+export function registerPromptNames() {
+    addGenerateInterceptorHandler(applyNicknamesToMessageNames);
+
+    // Ephemeral stopping strings are flushed by SillyTavern once the generation has ended
+    eventSource.on(event_types.GENERATION_AFTER_COMMANDS, /** @param {string} type @param {object} _params @param {boolean} dryRun */ (type, _params, dryRun) => {
+        // Chat Completion only uses custom stopping strings, not name-based ones
+        if (!nicknameSettings.useForStopStrings || dryRun || main_api === 'openai') return;
+        getNicknameStoppingStrings(type).forEach(addEphemeralStoppingString);
+    });
+}
@@ -4,25 +4,92 @@
 
 import { SlashCommand } from '../../../../slash-commands/SlashCommand.js';
 import { SlashCommandNamedArgument, ARGUMENT_TYPE, SlashCommandArgument } from '../../../../slash-commands/SlashCommandArgument.js';
-import { enumIcons } from '../../../../slash-commands/SlashCommandCommonEnumsProvider.js';
+import { enumIcons, commonEnumProviders } from '../../../../slash-commands/SlashCommandCommonEnumsProvider.js';
 import { SlashCommandEnumValue, enumTypes } from '../../../../slash-commands/SlashCommandEnumValue.js';
 import { SlashCommandParser } from '../../../../slash-commands/SlashCommandParser.js';
-import { ContextLevel, handleNickname, getUserNickname, getCharNickname } from './nicknames.js';
+import { user_avatar } from '../../../../../script.js';
+import { findChar, findPersona, isFalseBoolean, isTrueBoolean } from '../../../../utils.js';
+import { getContext } from '/scripts/st-context.js';
+import {
+    ContextLevel,
+    PoolMode,
+    NicknameSlot,
+    handleNickname,
+    findOrphanedMappings,
+    pruneOrphanedMappings,
+    setPoolMode,
+    formatNicknamePool,
+    getPersonaName,
+    getCharName,
+    listNicknames,
+    resolveNicknameWaterfall,
+} from './nicknames.js';
 import { refreshAllUI } from './ui.js';
+import { createExportBundle, exportNicknameBundle } from './import-export.js';
+import { describeOrphanCounts } from './orphans.js';
+import { convertChatMessageNames } from './write-through.js';
 
 export const RESET_NICKNAME_LABEL = '#reset';
 
+/** Values of the `mode` argument of /nickname-user and /nickname-char */
+const POOL_MODE_ENUM_VALUES = [
+    new SlashCommandEnumValue(PoolMode.FIRST, 'always the first nickname', enumTypes.enum, '1'),
+    new SlashCommandEnumValue(PoolMode.RANDOM, 'random per message', enumTypes.enum, '🎲'),
+    new SlashCommandEnumValue(PoolMode.ROUND_ROBIN, 'next nickname each message', enumTypes.enum, '🔁'),
+    new SlashCommandEnumValue(PoolMode.WEIGHTED, 'random per message, using weights like boss*2', enumTypes.enum, '⚖️'),
+];
+
+/** Values of the `slot` argument of the nickname commands */
+const SLOT_ENUM_VALUES = [
+    new SlashCommandEnumValue(NicknameSlot.DEFAULT, 'the regular nickname', enumTypes.enum, enumIcons.default),
+    new SlashCommandEnumValue(NicknameSlot.FORMAL, 'formal address, e.g. "Captain Reyes"', enumTypes.enum, '🎩'),
+    new SlashCommandEnumValue(NicknameSlot.INFORMAL, 'casual address, e.g. "Rey"', enumTypes.enum, '👋'),
+    new SlashCommandEnumValue(NicknameSlot.TITLE, 'a title, e.g. "Captain"', enumTypes.enum, '🏅'),
+    new SlashCommandEnumValue(NicknameSlot.PET, 'a pet name, e.g. "sunshine"', enumTypes.enum, '💕'),
+];
+
+/**
+ * Resolves the persona or character a command targets from its `avatar` and `name` arguments.
+ * Falls back to the active persona or character if neither is given.
+ * @param {'user'|'char'} type
+ * @param {{ name: string?, avatar: string? }} args
+ * @returns {string|null} The avatar key, or null if no matching persona or character exists (a warning is shown)
+ */
+function resolveTargetKey(type, { name, avatar }) {
+    const context = getContext();
+    let key = null;
+    if (avatar) {
+        key = type === 'user'
+            ? (getPersonaName(avatar) !== null ? avatar : null)
+            : (context.characters.find(char => char.avatar === avatar)?.avatar ?? null);
+    } else if (name) {
+        key = type === 'user'
+            ? findPersona({ name, allowAvatar: false })?.avatar ?? null
+            : findChar({ name, allowAvatar: false })?.avatar ?? null;
+    } else {
+        key = type === 'user' ? user_avatar : context.characters[context.characterId]?.avatar ?? null;
+    }
+
+    if (!key) {
+        const label = type === 'user' ? 'persona' : 'character';
+        toastr.warning(avatar || name ? `No ${label} found for "${avatar || name}"` : `No ${label} selected`, 'Nicknames');
+    }
+    return key;
+}
+
 /**
  * Sets a nickname and refreshes the UI.
  * @param {'user'|'char'} type
  * @param {string|null} nickname
- * @param {'chat'|'char'|'global'|null} context
+ * @param {'chat'|'group'|'char'|'global'|null} context
  * @param {boolean} reset
+ * @param {NicknameSlot} [slot=NicknameSlot.DEFAULT]
+ * @param {string|null} [key=null] - Avatar key of the persona or character, the active one if not given
  * @returns {string}
  */
-function setNicknameWithRefresh(type, nickname, context, reset = false) {
+function setNicknameWithRefresh(type, nickname, context, reset = false, slot = NicknameSlot.DEFAULT, key = null) {
     try {
-        const result = handleNickname(type, nickname, context, { reset });
+        const result = handleNickname(type, nickname, context, { reset, slot, key });
         if (result || reset) {
             // Refresh all UI components
             refreshAllUI();
@@ -34,24 +101,148 @@ function setNicknameWithRefresh(type, nickname, context, reset = false) {
     }
 }
 
-/** @type {(args: { for: ('char'|'chat'|'global')? }, nickname: string) => string} */
-function nicknameUserCallback(args, nickname) {
+/**
+ * Sets the pool mode of a persona or character and refreshes the UI.
+ * @param {'user'|'char'} type
+ * @param {string} key - Avatar key of the persona or character
+ * @param {string} mode
+ */
+function setPoolModeWithRefresh(type, key, mode) {
+    setPoolMode(type, key, /** @type {PoolMode} */ (mode));
+    refreshAllUI();
+}
+
+/**
+ * Shared callback of `/nickname-user` and `/nickname-char` - gets or sets the nickname of the targeted persona or character.
+ * @param {'user'|'char'} type
+ * @param {{ for: ('char'|'group'|'chat'|'global')?, mode: string?, slot: string?, name: string?, avatar: string? }} args
+ * @param {string} nickname
+ * @returns {string}
+ */
+function handleNicknameCommand(type, args, nickname) {
+    const key = resolveTargetKey(type, args);
+    if (!key) return '';
+
+    const slot = /** @type {NicknameSlot} */ (args.slot || NicknameSlot.DEFAULT);
+    if (args.mode) setPoolModeWithRefresh(type, key, args.mode);
     if (!nickname) {
-        // Get only - return effective nickname
-        return getUserNickname().name ?? '';
+        // Get only - return the nickname of the given context, or the effective one
+        return handleNickname(type, null, args.for || null, { slot, key })?.name ?? '';
     }
     // Set with refresh
-    return setNicknameWithRefresh('user', nickname, args.for, nickname === RESET_NICKNAME_LABEL);
+    return setNicknameWithRefresh(type, nickname, args.for, nickname === RESET_NICKNAME_LABEL, slot, key);
 }
 
-/** @type {(args: { for: ('char'|'chat'|'global')? }, nickname: string) => string} */
+/** @type {(args: { for: ('char'|'group'|'chat'|'global')?, mode: string?, slot: string?, name: string?, avatar: string? }, nickname: string) => string} */
+function nicknameUserCallback(args, nickname) {
+    return handleNicknameCommand('user', args, nickname);
+}
+
+/** @type {(args: { for: ('char'|'group'|'chat'|'global')?, mode: string?, slot: string?, name: string?, avatar: string? }, nickname: string) => string} */
 function nicknameCharCallback(args, nickname) {
-    if (!nickname) {
-        // Get only - return effective nickname
-        return getCharNickname().name ?? '';
+    return handleNicknameCommand('char', args, nickname);
+}
+
+/**
+ * Enum provider for the avatar keys of all personas.
+ * @returns {SlashCommandEnumValue[]}
+ */
+function personaAvatarEnumProvider() {
+    return Object.entries(getContext().powerUserSettings.personas ?? {})
+        .map(([avatar, name]) => new SlashCommandEnumValue(avatar, name, enumTypes.name, enumIcons.persona));
+}
+
+/**
+ * Enum provider for the avatar keys of all characters.
+ * @returns {SlashCommandEnumValue[]}
+ */
+function charAvatarEnumProvider() {
+    return getContext().characters
+        .map(char => new SlashCommandEnumValue(char.avatar, char.name, enumTypes.name, enumIcons.character));
+}
+
+/** @type {(args: { type: string?, for: string?, name: string?, avatar: string?, slot: string? }) => string} */
+function nicknameListCallback(args) {
+    const list = listNicknames({
+        type: /** @type {'user'|'char'} */ (args.type || null),
+        level: /** @type {ContextLevel} */ (args.for || null),
+        key: args.avatar || null,
+        name: args.name || null,
+        slot: /** @type {NicknameSlot} */ (args.slot || null),
+    });
+    return JSON.stringify(list);
+}
+
+/** @type {(args: { type: string?, name: string?, avatar: string?, slot: string? }) => string} */
+function nicknameResolveCallback(args) {
+    const type = args.type === 'user' ? 'user' : 'char';
+    const key = resolveTargetKey(type, args);
+    if (!key) return '';
+
+    // The char level always pairs with the active persona or character, just like prompts do
+    const context = getContext();
+    const pairKey = type === 'char' ? user_avatar : context.characters[context.characterId]?.avatar ?? null;
+    const slot = /** @type {NicknameSlot} */ (args.slot || NicknameSlot.DEFAULT);
+    const { levels, result } = resolveNicknameWaterfall(type, key, pairKey, { slot });
+
+    return JSON.stringify({
+        type,
+        key,
+        name: type === 'char' ? getCharName(key) : getPersonaName(key),
+        pairKey,
+        slot,
+        level: result.context,
+        nickname: result.name ?? null,
+        rule: result.rule ?? null,
+        levels,
+    });
+}
+
+/** @type {(args: { download: string? }) => string} */
+function nicknameExportCallback(args) {
+    if (isFalseBoolean(args.download)) {
+        return JSON.stringify(createExportBundle(), null, 4);
     }
-    // Set with refresh
-    return setNicknameWithRefresh('char', nickname, args.for, nickname === RESET_NICKNAME_LABEL);
+    return exportNicknameBundle();
+}
+
+/** @type {(args: { dryRun: string? }) => string} */
+function nicknamePruneCallback(args) {
+    const orphans = findOrphanedMappings();
+    const report = orphans.map(orphan => ({
+        type: orphan.type,
+        key: orphan.key,
+        nicknames: orphan.entries.map(entry => formatNicknamePool(entry.value)),
+        settings: orphan.settings,
+    }));
+
+    if (!orphans.length) {
+        toastr.info('No orphaned nickname data found.', 'Nicknames');
+        return JSON.stringify(report);
+    }
+
+    if (isTrueBoolean(args.dryRun)) {
+        toastr.info(`Found orphaned nickname data of ${describeOrphanCounts(orphans)}.`, 'Nicknames');
+        return JSON.stringify(report);
+    }
+
+    pruneOrphanedMappings(orphans);
+    refreshAllUI();
+    toastr.info(`Pruned orphaned nickname data of ${describeOrphanCounts(orphans)}.`, 'Nicknames');
+    return JSON.stringify(report);
+}
+
+/** @type {(args: { restore: string? }) => Promise<string>} */
+async function nicknameStampCallback(args) {
+    if (!getContext().chatId) {
+        toastr.warning('No chat is open.', 'Nicknames');
+        return '0';
+    }
+
+    const restore = isTrueBoolean(args.restore);
+    const changed = await convertChatMessageNames({ restore });
+    toastr.info(restore ? `Restored full names in ${changed} messages.` : `Stored nicknames in ${changed} messages.`, 'Nicknames');
+    return String(changed);
 }
 
 /**
@@ -62,23 +253,52 @@ export function registerSlashCommands() {
         name: 'nickname-user',
         aliases: ['nickname-persona'],
         callback: nicknameUserCallback,
-        returns: 'nickname of the current user',
+        returns: 'nickname of the persona',
         namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'name',
+                description: 'Name of the persona to get or set the nickname for. Defaults to the current persona.',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: commonEnumProviders.personas(),
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'avatar',
+                description: 'Avatar key of the persona to get or set the nickname for, e.g. to pick one of several personas with the same name. Takes precedence over name.',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: personaAvatarEnumProvider,
+                forceEnum: true,
+            }),
             SlashCommandNamedArgument.fromProps({
                 name: 'for',
-                description: 'The context for the nickname. Must be provided on set. If non provided for get, the actual used nickname (first defined) will be returned.',
+                description: 'The context for the nickname. Must be provided on set. If non provided for get, the actual used nickname (first defined) will be returned. The character-level context always pairs with the active persona or character.',
                 typeList: [ARGUMENT_TYPE.STRING],
                 enumList: [
                     new SlashCommandEnumValue(ContextLevel.GLOBAL, null, enumTypes.namedArgument, 'G'),
                     new SlashCommandEnumValue(ContextLevel.CHAR, null, enumTypes.enum, enumIcons.character),
+                    new SlashCommandEnumValue(ContextLevel.GROUP, 'only in group chats', enumTypes.enum, enumIcons.group),
                     new SlashCommandEnumValue(ContextLevel.CHAT, null, enumTypes.enum, enumIcons.message),
                 ],
                 forceEnum: true,
             }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'mode',
+                description: 'How a nickname is picked from a pool (multiple nicknames separated by |). Applies to all levels of the targeted persona.',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: POOL_MODE_ENUM_VALUES,
+                forceEnum: true,
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'slot',
+                description: 'The named nickname slot to get or set. Each slot has its own nickname on every context level.',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: NicknameSlot.DEFAULT,
+                enumList: SLOT_ENUM_VALUES,
+                forceEnum: true,
+            }),
         ],
         unnamedArgumentList: [
             SlashCommandArgument.fromProps({
-                description: 'The nickname to set (or \'#reset\' to remove the nickname)',
+                description: 'The nickname to set, or several separated by | to set a pool (or \'#reset\' to remove the nickname)',
                 typeList: [ARGUMENT_TYPE.STRING],
                 enumList: [
                     new SlashCommandEnumValue(RESET_NICKNAME_LABEL, 'Resets the nickname (removing it from this context)', enumTypes.enum, '❌'),
@@ -86,29 +306,58 @@ export function registerSlashCommands() {
                 ],
             }),
         ],
-        helpString: 'Sets or gets the nickname for the current user (persona). Without arguments, returns the current effective nickname. With a nickname argument, sets it for the specified context (defaults to global if not specified).',
+        helpString: 'Sets or gets the nickname for the current user (persona), or any other persona given by <code>name</code> or <code>avatar</code>. Without arguments, returns the current effective nickname. With a nickname argument, sets it for the specified context (defaults to global if not specified). Multiple nicknames separated by | form a pool, e.g. <code>/nickname-user for=char mode=random love | kiddo | boss*2</code>. Use <code>slot</code> for named forms like a formal address, e.g. <code>/nickname-user slot=formal Captain Reyes</code>.',
     }));
 
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
         name: 'nickname-char',
         callback: nicknameCharCallback,
-        returns: 'nickname of the current character',
+        returns: 'nickname of the character',
         namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'name',
+                description: 'Name of the character to get or set the nickname for, e.g. another group member. Defaults to the current character.',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: commonEnumProviders.characters('character'),
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'avatar',
+                description: 'Avatar key of the character to get or set the nickname for, e.g. to pick one of several characters with the same name. Takes precedence over name.',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: charAvatarEnumProvider,
+                forceEnum: true,
+            }),
             SlashCommandNamedArgument.fromProps({
                 name: 'for',
-                description: 'The context for the nickname. Must be provided on set. If non provided for get, the actual used nickname (first defined) will be returned.',
+                description: 'The context for the nickname. Must be provided on set. If non provided for get, the actual used nickname (first defined) will be returned. The character-level context always pairs with the active persona or character.',
                 typeList: [ARGUMENT_TYPE.STRING],
                 enumList: [
                     new SlashCommandEnumValue(ContextLevel.GLOBAL, null, enumTypes.namedArgument, 'G'),
                     new SlashCommandEnumValue(ContextLevel.CHAR, null, enumTypes.enum, enumIcons.character),
+                    new SlashCommandEnumValue(ContextLevel.GROUP, 'only in group chats', enumTypes.enum, enumIcons.group),
                     new SlashCommandEnumValue(ContextLevel.CHAT, null, enumTypes.enum, enumIcons.message),
                 ],
                 forceEnum: true,
             }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'mode',
+                description: 'How a nickname is picked from a pool (multiple nicknames separated by |). Applies to all levels of the targeted character.',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: POOL_MODE_ENUM_VALUES,
+                forceEnum: true,
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'slot',
+                description: 'The named nickname slot to get or set. Each slot has its own nickname on every context level.',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: NicknameSlot.DEFAULT,
+                enumList: SLOT_ENUM_VALUES,
+                forceEnum: true,
+            }),
         ],
         unnamedArgumentList: [
             SlashCommandArgument.fromProps({
-                description: 'The nickname to set (or \'#reset\' to remove the nickname)',
+                description: 'The nickname to set, or several separated by | to set a pool (or \'#reset\' to remove the nickname)',
                 typeList: [ARGUMENT_TYPE.STRING],
                 enumList: [
                     new SlashCommandEnumValue(RESET_NICKNAME_LABEL, 'Resets the nickname (removing it from this context)', enumTypes.enum, '❌'),
@@ -116,6 +365,144 @@ export function registerSlashCommands() {
                 ],
             }),
         ],
-        helpString: 'Sets or gets the nickname for the current character. Without arguments, returns the current effective nickname. With a nickname argument, sets it for the specified context (defaults to global if not specified). Character-level setting is not available for characters (only works for user/persona).',
+        helpString: 'Sets or gets the nickname for the current character, or any other character given by <code>name</code> or <code>avatar</code> (e.g. <code>/nickname-char name=Seraphina for=group Sera</code>). Without arguments, returns the current effective nickname. With a nickname argument, sets it for the specified context (defaults to global if not specified). The character-level context stores how the current persona calls this character. Multiple nicknames separated by | form a pool, picked from according to <code>mode</code>. Use <code>slot</code> for named forms like a pet name, e.g. <code>/nickname-char slot=pet sunshine</code>.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'nickname-list',
+        callback: nicknameListCallback,
+        returns: 'JSON list of all matching nicknames',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'type',
+                description: 'Only list persona (user) or character (char) nicknames.',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: [
+                    new SlashCommandEnumValue('user', 'persona nicknames', enumTypes.enum, enumIcons.persona),
+                    new SlashCommandEnumValue('char', 'character nicknames', enumTypes.enum, enumIcons.character),
+                ],
+                forceEnum: true,
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'for',
+                description: 'Only list nicknames stored on this context level. Chat-level nicknames are only listed for the open chat.',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: [
+                    new SlashCommandEnumValue(ContextLevel.GLOBAL, null, enumTypes.namedArgument, 'G'),
+                    new SlashCommandEnumValue(ContextLevel.CHAR, null, enumTypes.enum, enumIcons.character),
+                    new SlashCommandEnumValue(ContextLevel.GROUP, null, enumTypes.enum, enumIcons.group),
+                    new SlashCommandEnumValue(ContextLevel.CHAT, null, enumTypes.enum, enumIcons.message),
+                ],
+                forceEnum: true,
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'name',
+                description: 'Only list nicknames of personas or characters with this name.',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: () => [...commonEnumProviders.characters('character')(), ...commonEnumProviders.personas()()],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'avatar',
+                description: 'Only list nicknames of the persona or character with this avatar key.',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: () => [...charAvatarEnumProvider(), ...personaAvatarEnumProvider()],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'slot',
+                description: 'Only list nicknames of this named slot.',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: SLOT_ENUM_VALUES,
+                forceEnum: true,
+            }),
+        ],
+        helpString: 'Lists all stored nicknames as JSON - global, character-level and group-level ones, and chat-level ones of the open chat. Each entry has its <code>type</code>, <code>level</code>, avatar <code>key</code>, current <code>name</code>, <code>slot</code> and <code>nickname</code>, plus the paired character, persona or group where it applies. Filter with <code>type</code>, <code>for</code>, <code>name</code>, <code>avatar</code> and <code>slot</code>, e.g. <code>/nickname-list type=char for=group | /setvar key=groupNicknames</code>.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'nickname-resolve',
+        callback: nicknameResolveCallback,
+        returns: 'JSON object describing how the nickname is resolved on each level',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'type',
+                description: 'Whether to resolve a persona (user) or character (char) nickname.',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'char',
+                enumList: [
+                    new SlashCommandEnumValue('user', 'persona nickname', enumTypes.enum, enumIcons.persona),
+                    new SlashCommandEnumValue('char', 'character nickname', enumTypes.enum, enumIcons.character),
+                ],
+                forceEnum: true,
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'name',
+                description: 'Name of the persona or character to resolve. Defaults to the active one.',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: () => [...commonEnumProviders.characters('character')(), ...commonEnumProviders.personas()()],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'avatar',
+                description: 'Avatar key of the persona or character to resolve. Takes precedence over name.',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: () => [...charAvatarEnumProvider(), ...personaAvatarEnumProvider()],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'slot',
+                description: 'The named nickname slot to resolve.',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: NicknameSlot.DEFAULT,
+                enumList: SLOT_ENUM_VALUES,
+                forceEnum: true,
+            }),
+        ],
+        helpString: 'Resolves the nickname of a persona or character like prompts and messages do, and returns the full waterfall as JSON: the resolved <code>nickname</code> and the <code>level</code> it comes from, the matching conditional <code>rule</code> if any, plus each of the rule, chat, group, character and global <code>levels</code> with its value, whether it was <code>used</code>, <code>overridden</code>, <code>empty</code> or <code>unavailable</code>, and why. Example: <code>/nickname-resolve type=user slot=pet</code>.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'nickname-export',
+        callback: nicknameExportCallback,
+        returns: 'the exported nickname bundle as JSON',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'download',
+                description: 'Whether to download the bundle as a file. If false, the JSON is only returned.',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'true',
+                enumList: commonEnumProviders.boolean('trueFalse')(),
+            }),
+        ],
+        helpString: 'Exports all global, character-level and group-level nickname mappings, and the settings stored per persona and character, as a versioned JSON bundle, which can be imported again in the extension settings. Chat-level nicknames are stored in the chat files and are not included.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'nickname-prune',
+        callback: nicknamePruneCallback,
+        returns: 'JSON list of the orphaned characters, personas and groups, with their stored nicknames',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'dryRun',
+                description: 'If true, only reports the orphaned nickname data without removing it.',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+                enumList: commonEnumProviders.boolean('trueFalse')(),
+            }),
+        ],
+        helpString: 'Finds nickname data of characters, personas and groups that no longer exist (e.g. deleted by file or while the extension was disabled) and removes it. Use <code>dryRun=true</code> to only list them. To re-link orphaned nicknames to an existing character, persona or group, use "Clean Up" in the extension settings.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'nickname-stamp',
+        callback: nicknameStampCallback,
+        returns: 'the number of changed messages',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'restore',
+                description: 'If true, restores the full names instead of storing the nicknames.',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+                enumList: commonEnumProviders.boolean('trueFalse')(),
+            }),
+        ],
+        helpString: 'Stores the nicknames as the sender names of all messages in the open chat, like "Store Nicknames in Messages" does for new messages. The full names are kept in the messages, and <code>restore=true</code> puts them back. Messages that already store a nickname are left unchanged.',
     }));
 }
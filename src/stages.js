@@ -0,0 +1,178 @@
+/**
+ * Nickname stages - chat-level nicknames unlocked as a chat goes on.
+ * Each chat can hold stages per persona and character, reached after a number of messages or when the model
+ * writes a trigger phrase. A reached stage writes its nickname to the chat level, and remembers the message
+ * it was reached at, so it can be undone.
+ */
+
+import { eventSource, event_types, saveChatDebounced } from '../../../../../script.js';
+import { t } from '/scripts/i18n.js';
+import { getContext } from '/scripts/st-context.js';
+import { EXTENSION_KEY } from '../index.js';
+import { ChangeReason, ContextLevel, formatNicknamePool, getCharName, getPersonaName, handleNickname, parseNicknamePool, parseTextPattern, trackNicknameChanges } from './nicknames.js';
+import { refreshAllUI } from './ui.js';
+
+/** @enum {string} What a nickname stage is reached by */
+export const StageTrigger = {
+    /** The chat has a number of messages */
+    MESSAGES: 'messages',
+    /** A character message matches a text or regex */
+    PATTERN: 'pattern',
+};
+
+/**
+ * When and how a nickname stage was reached
+ * @typedef {Object} StageRecord
+ * @property {number} messageId - Index of the message the stage was reached at
+ * @property {string} nickname - The chat-level nickname written, in text form
+ * @property {string|null} previous - The chat-level nickname before, in text form, null if none was set
+ */
+
+/**
+ * A chat-level nickname unlocked by a trigger
+ * @typedef {Object} NicknameStage
+ * @property {StageTrigger} trigger - What the stage is reached by
+ * @property {number} messageCount - Number of chat messages the stage is reached at, for {@link StageTrigger.MESSAGES}
+ * @property {string} pattern - Text or `/regex/flags` a character message has to match, for {@link StageTrigger.PATTERN}
+ * @property {string} nickname - The nickname written when reached, can be a pool - `$1` inserts the first group of the pattern
+ * @property {StageRecord|null} reached - Set once the stage is reached, stages are only reached once
+ */
+
+/**
+ * Gets the stages of a persona or character in the open chat, in the order they are checked.
+ * @param {'user'|'char'} type
+ * @param {string} key - Persona or character avatar key
+ * @returns {NicknameStage[]}
+ */
+export function getNicknameStages(type, key) {
+    return getContext().chatMetadata?.[EXTENSION_KEY]?.stages?.[type === 'char' ? 'chars' : 'personas']?.[key] ?? [];
+}
+
+/**
+ * Sets the stages of a persona or character in the open chat.
+ * @param {'user'|'char'} type
+ * @param {string} key - Persona or character avatar key
+ * @param {NicknameStage[]} stages - The stages, or an empty list to remove all
+ */
+export function setNicknameStages(type, key, stages) {
+    const context = getContext();
+    if (!context.chatId) throw new Error('Nickname stages can only be set in an open chat');
+    for (const stage of stages) {
+        if (!Object.values(StageTrigger).includes(stage.trigger)) throw new Error(`Unknown stage trigger: ${stage.trigger}`);
+    }
+
+    const chatMappings = context.chatMetadata[EXTENSION_KEY] ??= { personas: {}, chars: {} };
+    chatMappings.stages ??= { personas: {}, chars: {} };
+    const typeStages = chatMappings.stages[type === 'char' ? 'chars' : 'personas'] ??= {};
+    if (stages.length) {
+        typeStages[key] = stages.map(({ trigger, messageCount, pattern, nickname, reached }) => ({
+            trigger,
+            messageCount: Math.max(1, Math.floor(Number(messageCount)) || 1),
+            pattern: pattern ?? '',
+            nickname: nickname.trim(),
+            reached: reached ?? null,
+        }));
+    } else {
+        delete typeStages[key];
+    }
+    saveChatDebounced();
+}
+
+/**
+ * Gets the nickname a stage writes if it is reached at a message, or null if it is not.
+ * @param {NicknameStage} stage
+ * @param {number} messageId - Index of the received message
+ * @returns {string|null}
+ */
+function getReachedNickname(stage, messageId) {
+    const chat = getContext().chat;
+    if (!stage.nickname) return null;
+
+    if (stage.trigger === StageTrigger.MESSAGES) {
+        return chat.length >= stage.messageCount ? stage.nickname : null;
+    }
+
+    // Trigger phrases are only looked for in what the model writes
+    const message = chat[messageId];
+    const regex = parseTextPattern(stage.pattern);
+    if (!regex || !message || message.is_user || message.is_system) return null;
+
+    const match = new RegExp(regex.source, regex.flags.replace('g', '')).exec(message.mes ?? '');
+    if (!match) return null;
+    return stage.nickname.replace(/\$(\d)/g, (_, group) => match[Number(group)] ?? '').trim() || null;
+}
+
+/**
+ * Writes the nickname of a reached stage to the chat level, and records it in the stage.
+ * @param {'user'|'char'} type
+ * @param {string} key - Persona or character avatar key
+ * @param {NicknameStage} stage
+ * @param {string} nickname - The nickname to write
+ * @param {number} messageId - Index of the message the stage was reached at
+ */
+function reachStage(type, key, stage, nickname, messageId) {
+    const previous = formatNicknamePool(handleNickname(type, null, ContextLevel.CHAT, { key })?.pool) || null;
+    trackNicknameChanges(ChangeReason.STAGE, () => handleNickname(type, nickname, ContextLevel.CHAT, { key }));
+    stage.reached = { messageId, nickname: formatNicknamePool(parseNicknamePool(nickname)), previous };
+
+    const name = type === 'char' ? getCharName(key) : getPersonaName(key);
+    toastr.info(t`${name} is now called "${nickname}"`, t`Nickname stage reached`);
+}
+
+/**
+ * Undoes a reached stage, so it can be reached again.
+ * The chat-level nickname from before is restored, unless it was changed since the stage was reached.
+ * @param {'user'|'char'} type
+ * @param {string} key - Persona or character avatar key
+ * @param {number} index - Position of the stage in the list of the persona or character
+ */
+export function resetNicknameStage(type, key, index) {
+    const stage = getNicknameStages(type, key)[index];
+    if (!stage?.reached) return;
+
+    const current = formatNicknamePool(handleNickname(type, null, ContextLevel.CHAT, { key })?.pool) || null;
+    if (current === stage.reached.nickname) {
+        const { previous } = stage.reached;
+        trackNicknameChanges(ChangeReason.STAGE, () => previous
+            ? handleNickname(type, previous, ContextLevel.CHAT, { key })
+            : handleNickname(type, null, ContextLevel.CHAT, { key, reset: true }));
+    }
+    stage.reached = null;
+    saveChatDebounced();
+}
+
+/**
+ * Checks the stages of the open chat against a received message, and reaches the ones triggered by it.
+ * @param {number} messageId
+ */
+function onMessageReceived(messageId) {
+    const context = getContext();
+    const stages = context.chatMetadata?.[EXTENSION_KEY]?.stages;
+    if (!stages || !context.chatId) return;
+
+    let reachedCount = 0;
+    for (const [type, typeKey] of /** @type {['user'|'char', string][]} */ ([['user', 'personas'], ['char', 'chars']])) {
+        for (const [key, list] of Object.entries(stages[typeKey] ?? {})) {
+            for (const stage of list) {
+                if (stage.reached) continue;
+                const nickname = getReachedNickname(stage, Number(messageId));
+                if (!nickname) continue;
+                reachStage(type, key, stage, nickname, Number(messageId));
+                reachedCount++;
+            }
+        }
+    }
+
+    if (reachedCount) {
+        saveChatDebounced();
+        refreshAllUI();
+    }
+}
+
+/**
+ * Registers the stage checks on received messages.
+ * They are always registered, chats without stages are skipped.
+ */
+export function registerNicknameStages() {
+    eventSource.on(event_types.MESSAGE_RECEIVED, onMessageReceived);
+}
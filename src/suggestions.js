@@ -0,0 +1,229 @@
+/**
+ * Nickname suggestions detected in chat messages.
+ * Characters often coin nicknames in the story ("I'm going to call you Sparrow"). Sent and received messages are
+ * checked against user-editable patterns, and each nickname found is offered in a notification, to be set on the
+ * chat, character or global level. Ignored suggestions are remembered per chat, so they are not offered again.
+ */
+
+import { eventSource, event_types, saveChatDebounced, saveSettingsDebounced, user_avatar } from '../../../../../script.js';
+import { t } from '/scripts/i18n.js';
+import { getContext } from '/scripts/st-context.js';
+import { EXTENSION_KEY } from '../index.js';
+import { ChangeReason, ContextLevel, ensureSettings, getCharName, getPersonaName, handleNickname, nicknameSettings, parseTextPattern, trackNicknameChanges } from './nicknames.js';
+import { refreshAllUI } from './ui.js';
+
+/** How long a suggestion is shown, in milliseconds */
+const SUGGESTION_TIMEOUT = 30000;
+
+/** Maximum length of a suggested nickname */
+const MAX_SUGGESTION_LENGTH = 50;
+
+/**
+ * A nickname found in a chat message
+ * @typedef {Object} NicknameSuggestion
+ * @property {'user'|'char'} type - Whether the nickname is for a persona or a character
+ * @property {string} key - Avatar key of the persona or character
+ * @property {string} nickname - The suggested nickname
+ */
+
+/** Suggestions currently shown, by {@link getSuggestionId}, so the same one is not shown twice */
+const shownSuggestions = new Set();
+
+// ---------------------------------------------------------------------------
+// Patterns
+// ---------------------------------------------------------------------------
+
+/**
+ * Gets the patterns nicknames are detected with, as entered.
+ * @returns {string[]}
+ */
+export function getSuggestionPatterns() {
+    return ensureSettings().suggestionPatterns;
+}
+
+/**
+ * Sets the patterns nicknames are detected with. Empty patterns are dropped.
+ * @param {string[]} patterns - Texts or `/regex/flags`
+ * @returns {string[]} The `/regex/flags` patterns that are not valid
+ */
+export function setSuggestionPatterns(patterns) {
+    const kept = patterns.map(pattern => pattern.trim()).filter(Boolean);
+    ensureSettings().suggestionPatterns = kept;
+    saveSettingsDebounced();
+    return kept.filter(pattern => !parseTextPattern(pattern));
+}
+
+/**
+ * Finds the nicknames coined in a chat message.
+ * The first group of a pattern is the nickname of the one spoken to, a group named `self` the nickname of the speaker.
+ * @param {{ is_user?: boolean, mes?: string, original_avatar?: string }} message - The chat message
+ * @returns {NicknameSuggestion[]}
+ */
+function findNicknameSuggestions(message) {
+    const context = getContext();
+    const charKey = message.is_user
+        ? context.characters[context.characterId]?.avatar
+        : message.original_avatar ?? context.characters[context.characterId]?.avatar;
+    const speaker = message.is_user ? { type: 'user', key: user_avatar } : { type: 'char', key: charKey };
+    const listener = message.is_user ? { type: 'char', key: charKey } : { type: 'user', key: user_avatar };
+
+    /** @type {NicknameSuggestion[]} */
+    const suggestions = [];
+    for (const pattern of getSuggestionPatterns()) {
+        const regex = parseTextPattern(pattern);
+        if (!regex) continue;
+
+        for (const match of String(message.mes ?? '').matchAll(new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : regex.flags + 'g'))) {
+            const isSelf = match.groups?.self !== undefined;
+            const nickname = (isSelf ? match.groups.self : match[1])?.trim();
+            const target = isSelf ? speaker : listener;
+            if (!nickname || nickname.length > MAX_SUGGESTION_LENGTH || !target.key) continue;
+            suggestions.push({ type: /** @type {'user'|'char'} */ (target.type), key: target.key, nickname });
+        }
+    }
+    return suggestions;
+}
+
+// ---------------------------------------------------------------------------
+// Ignored Suggestions
+// ---------------------------------------------------------------------------
+
+/**
+ * Gets the id a suggestion is remembered by.
+ * @param {NicknameSuggestion} suggestion
+ * @returns {string}
+ */
+function getSuggestionId({ type, key, nickname }) {
+    return `${type}:${key}:${nickname.toLowerCase()}`;
+}
+
+/**
+ * Whether a suggestion was ignored in the open chat.
+ * @param {NicknameSuggestion} suggestion
+ * @returns {boolean}
+ */
+function isSuggestionIgnored({ type, key, nickname }) {
+    const ignored = getContext().chatMetadata?.[EXTENSION_KEY]?.ignoredSuggestions?.[type === 'char' ? 'chars' : 'personas']?.[key];
+    return !!ignored?.includes(nickname.toLowerCase());
+}
+
+/**
+ * Remembers a suggestion as ignored in the open chat.
+ * @param {NicknameSuggestion} suggestion
+ */
+function ignoreSuggestion({ type, key, nickname }) {
+    const chatMappings = getContext().chatMetadata[EXTENSION_KEY] ??= { personas: {}, chars: {} };
+    chatMappings.ignoredSuggestions ??= { personas: {}, chars: {} };
+    const ignored = chatMappings.ignoredSuggestions[type === 'char' ? 'chars' : 'personas'] ??= {};
+    (ignored[key] ??= []).push(nickname.toLowerCase());
+    saveChatDebounced();
+}
+
+// ---------------------------------------------------------------------------
+// Notification
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether a suggestion is worth offering - not the name or nickname already used, and not ignored.
+ * @param {NicknameSuggestion} suggestion
+ * @returns {boolean}
+ */
+function isSuggestionNew(suggestion) {
+    const { type, key, nickname } = suggestion;
+    const current = [
+        type === 'char' ? getCharName(key) : getPersonaName(key),
+        handleNickname(type, null, null, { key })?.name,
+    ];
+    return !current.some(name => name?.toLowerCase() === nickname.toLowerCase())
+        && !shownSuggestions.has(getSuggestionId(suggestion))
+        && !isSuggestionIgnored(suggestion);
+}
+
+/**
+ * Sets a suggested nickname on a level.
+ * @param {NicknameSuggestion} suggestion
+ * @param {ContextLevel} level
+ */
+function applySuggestion({ type, key, nickname }, level) {
+    try {
+        trackNicknameChanges(ChangeReason.SUGGESTION, () => handleNickname(type, nickname, level, { key }));
+        refreshAllUI();
+        toastr.success(t`Nickname saved to ${level} level`, t`Nicknames`);
+    } catch (error) {
+        console.error('[Nicknames] Setting suggested nickname failed', error);
+        toastr.error(t`The nickname could not be saved: ${error?.message}`, t`Nicknames`);
+    }
+}
+
+/**
+ * Shows a notification offering a suggested nickname, with buttons for the levels it can be set on.
+ * The notification does not block the chat. It only acts on the chat it was shown for.
+ * @param {NicknameSuggestion} suggestion
+ */
+function showSuggestion(suggestion) {
+    const { type, key, nickname } = suggestion;
+    const id = getSuggestionId(suggestion);
+    const chatId = getContext().chatId;
+    const name = (type === 'char' ? getCharName(key) : getPersonaName(key)) ?? key;
+
+    /** @type {JQuery<HTMLElement>|undefined} */
+    let $toast;
+    /**
+     * @param {string} label
+     * @param {string} title
+     * @param {() => void} action
+     */
+    const createButton = (label, title, action) => $('<div class="menu_button">').text(label).attr('title', title).on('click', () => {
+        if (getContext().chatId === chatId) {
+            action();
+        } else {
+            toastr.warning(t`The suggestion was made in another chat.`, t`Nicknames`);
+        }
+        toastr.clear($toast, { force: true });
+    });
+
+    const $content = $('<div class="nickname-suggestion flex-container flexFlowColumn">').append(
+        $('<div>').text(t`Set "${nickname}" as nickname for ${name}?`),
+        $('<div class="nickname-suggestion-buttons flex-container">').append(
+            createButton(t`Chat`, t`Only in this chat`, () => applySuggestion(suggestion, ContextLevel.CHAT)),
+            createButton(t`Character`, type === 'char' ? t`For this character, with your current persona` : t`For your persona, with this character`,
+                () => applySuggestion(suggestion, ContextLevel.CHAR)),
+            createButton(t`Global`, t`Everywhere`, () => applySuggestion(suggestion, ContextLevel.GLOBAL)),
+            createButton(t`Ignore`, t`Don't suggest this nickname again in this chat`, () => ignoreSuggestion(suggestion)),
+        ),
+    );
+
+    shownSuggestions.add(id);
+    $toast = toastr.info($content, t`Nickname Suggestion`, {
+        escapeHtml: false,
+        closeButton: true,
+        tapToDismiss: false,
+        timeOut: SUGGESTION_TIMEOUT,
+        extendedTimeOut: SUGGESTION_TIMEOUT,
+        onHidden: () => shownSuggestions.delete(id),
+    });
+}
+
+/**
+ * Checks a sent or received message for coined nicknames, and offers the new ones.
+ * @param {number} messageId
+ */
+function onMessage(messageId) {
+    if (!nicknameSettings.suggestNicknames || !getContext().chatId) return;
+
+    const message = getContext().chat[Number(messageId)];
+    if (!message || message.is_system) return;
+
+    for (const suggestion of findNicknameSuggestions(message)) {
+        if (isSuggestionNew(suggestion)) showSuggestion(suggestion);
+    }
+}
+
+/**
+ * Registers the suggestion checks on sent and received messages.
+ * They are always registered, and skipped while suggestions are disabled.
+ */
+export function registerNicknameSuggestions() {
+    eventSource.on(event_types.MESSAGE_RECEIVED, onMessage);
+    eventSource.on(event_types.MESSAGE_SENT, onMessage);
+}
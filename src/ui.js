@@ -3,7 +3,7 @@
  * Manages the extension settings panel and nickname editor UI.
  */
 
-import { eventSource, event_types } from '../../../../../script.js';
+import { eventSource, event_types, extension_prompt_types, saveSettingsDebounced, user_avatar } from '../../../../../script.js';
 import { Popup, POPUP_RESULT } from '/scripts/popup.js';
 import { t } from '/scripts/i18n.js';
 import { renderExtensionTemplateAsync } from '../../../../extensions.js';
@@ -13,14 +13,53 @@ import {
     settingKeys,
     nicknameSettings,
     saveSetting,
+    getSettings,
     handleNickname,
     ContextLevel,
+    PoolMode,
+    NicknameSlot,
     getNicknameForPersonaAvatar,
     getNicknameForCharAvatar,
+    getNicknameForMessage,
+    resolveNicknameWaterfall,
+    WaterfallStatus,
+    getCharName,
+    getPersonaName,
     seedNicknameFromV3SpecField,
     applyGlobalCharNickname,
+    formatNicknamePool,
+    getPoolMode,
+    setPoolMode,
+    ToolPolicy,
+    getToolPolicy,
+    setToolPolicy,
+    getInjectionOverride,
+    recordNicknameSnapshot,
+    setInjectionOverride,
+    DEFAULT_INJECTION_TEMPLATE,
+    DEFAULT_SUGGESTION_PATTERNS,
+    RuleOperator,
+    VariableScope,
+    getNicknameRules,
+    setNicknameRules,
+    findMatchingNicknameRule,
+    parseNicknamePool,
 } from './nicknames.js';
 import { syncCoreMacroDescriptions } from './macros.js';
+import { exportNicknameBundle, importNicknameBundleFromFile } from './import-export.js';
+import { openNicknameManager } from './manager.js';
+import { openOrphanCleanup } from './orphans.js';
+import { openChatMaintenance } from './chat-maintenance.js';
+import { registerFunctionTools, openToolAuditLog } from './function-tools.js';
+import { getNameReplacements, setSubstitutionFieldEnabled, substituteNames } from './deep-substitution.js';
+import { updateNicknameInjection } from './injection.js';
+import { confirmChatConversion } from './write-through.js';
+import { refreshMessageTexts, registerMessageTextEventListeners } from './message-text.js';
+import { injectListSearch, refreshListSearch } from './list-search.js';
+import { StageTrigger, getNicknameStages, resetNicknameStage, setNicknameStages } from './stages.js';
+import { getSuggestionPatterns, setSuggestionPatterns } from './suggestions.js';
+import { DEFAULT_DISPLAY_FORMAT, DisplaySurface, getDisplayFormat, renderNicknameLabel, setDisplayFormat } from './display-format.js';
+import { injectGroupMemberEditors, refreshGroupMemberEditors, registerGroupMemberEventListeners } from './group-members.js';
 
 let settingsUiInjected = false;
 
@@ -65,10 +104,53 @@ async function injectSettingsUI() {
         .prop('checked', nicknameSettings.useForCharList)
         .on('change', createSettingToggleHandler(settingKeys.USE_FOR_CHAR_LIST, refreshCharacterList));
 
+    $('#nicknames_use_for_list_search')
+        .prop('checked', nicknameSettings.useForListSearch)
+        .on('change', createSettingToggleHandler(settingKeys.USE_FOR_LIST_SEARCH, () => {
+            refreshListSearchOptions();
+            refreshListSearch();
+        }));
+
+    $('#nicknames_search_char_level_nicknames')
+        .prop('checked', nicknameSettings.searchCharLevelNicknames)
+        .on('change', createSettingToggleHandler(settingKeys.SEARCH_CHAR_LEVEL_NICKNAMES, refreshListSearch));
+    refreshListSearchOptions();
+
     $('#nicknames_use_for_chat_messages')
         .prop('checked', nicknameSettings.useForChatMessages)
         .on('change', createSettingToggleHandler(settingKeys.USE_FOR_CHAT_MESSAGES, refreshChatMessages));
 
+    $('#nicknames_use_for_message_text')
+        .prop('checked', nicknameSettings.useForMessageText)
+        .on('change', createSettingToggleHandler(settingKeys.USE_FOR_MESSAGE_TEXT, refreshMessageTexts));
+
+    $('#nicknames_write_to_messages')
+        .prop('checked', nicknameSettings.writeToMessages)
+        .on('change', createSettingToggleHandler(settingKeys.WRITE_TO_MESSAGES, () => confirmChatConversion(nicknameSettings.writeToMessages)));
+
+    $('#nicknames_use_nickname_snapshots')
+        .prop('checked', nicknameSettings.useNicknameSnapshots)
+        .on('change', createSettingToggleHandler(settingKeys.USE_NICKNAME_SNAPSHOTS, refreshChatMessages));
+
+    $('#nicknames_name_surfaces input[data-name-surface]').each(function () {
+        $(this).prop('checked', isNameSurfaceEnabled(this.dataset.nameSurface));
+    }).on('change', function () {
+        getSettings().nameSurfaces[this.dataset.nameSurface] = $(this).is(':checked');
+        saveSettingsDebounced();
+        refreshNameSurfaces();
+    });
+
+    $('#nicknames_display_formats input[data-surface]').each(function () {
+        $(this).attr('placeholder', DEFAULT_DISPLAY_FORMAT).val(getDisplayFormat(/** @type {DisplaySurface} */ (this.dataset.surface)));
+    }).on('change', function () {
+        setDisplayFormat(/** @type {DisplaySurface} */ (this.dataset.surface), String($(this).val()));
+        refreshNicknameDisplays();
+    });
+
+    $('#nicknames_show_level_badge')
+        .prop('checked', nicknameSettings.showLevelBadge)
+        .on('change', createSettingToggleHandler(settingKeys.SHOW_LEVEL_BADGE, refreshNicknameDisplays));
+
     $('#nicknames_use_for_macros')
         .prop('checked', nicknameSettings.useForMacros)
         .on('change', createSettingToggleHandler(settingKeys.USE_FOR_MACROS, () => {
@@ -90,8 +172,90 @@ async function injectSettingsUI() {
             }
         }));
 
+    $('#nicknames_use_for_prompt_names')
+        .prop('checked', nicknameSettings.useForPromptNames)
+        .on('change', createSettingToggleHandler(settingKeys.USE_FOR_PROMPT_NAMES));
+
+    $('#nicknames_use_for_stop_strings')
+        .prop('checked', nicknameSettings.useForStopStrings)
+        .on('change', createSettingToggleHandler(settingKeys.USE_FOR_STOP_STRINGS));
+
+    $('#nicknames_use_deep_substitution')
+        .prop('checked', nicknameSettings.useDeepSubstitution)
+        .on('change', createSettingToggleHandler(settingKeys.USE_DEEP_SUBSTITUTION, refreshDeepSubstitutionFields));
+
+    $('#nicknames_deep_substitution_fields input[data-field]').each(function () {
+        $(this).prop('checked', !!getSettings().deepSubstitutionFields[this.dataset.field]);
+    }).on('change', function () {
+        setSubstitutionFieldEnabled(/** @type {any} */ (this.dataset.field), $(this).is(':checked'));
+    });
+    refreshDeepSubstitutionFields();
+
+    $('#nicknames_use_for_injection')
+        .prop('checked', nicknameSettings.useForInjection)
+        .on('change', createSettingToggleHandler(settingKeys.USE_FOR_INJECTION, () => {
+            refreshInjectionSettings();
+            updateNicknameInjection();
+        }));
+
+    $('#nicknames_injection_template')
+        .attr('placeholder', DEFAULT_INJECTION_TEMPLATE)
+        .val(getSettings().injection.template)
+        .on('input', function () {
+            getSettings().injection.template = String($(this).val());
+            saveSettingsDebounced();
+            updateNicknameInjection();
+        });
+    $('#nicknames_injection_position, #nicknames_injection_depth, #nicknames_injection_role').each(function () {
+        $(this).val(getSettings().injection[this.id.replace('nicknames_injection_', '')]);
+    }).on('change', function () {
+        const value = Number($(this).val());
+        getSettings().injection[this.id.replace('nicknames_injection_', '')] = Number.isFinite(value) ? Math.max(0, Math.floor(value)) : 0;
+        saveSettingsDebounced();
+        refreshInjectionSettings();
+        updateNicknameInjection();
+    });
+    refreshInjectionSettings();
+
+    $('#nicknames_use_function_tools')
+        .prop('checked', nicknameSettings.useFunctionTools)
+        .on('change', createSettingToggleHandler(settingKeys.USE_FUNCTION_TOOLS, registerFunctionTools));
+
+    $('#nicknames_suggest_nicknames')
+        .prop('checked', nicknameSettings.suggestNicknames)
+        .on('change', createSettingToggleHandler(settingKeys.SUGGEST_NICKNAMES, refreshSuggestionSettings));
+
+    const savePatterns = (/** @type {string[]} */ patterns) => {
+        const invalid = setSuggestionPatterns(patterns);
+        $('#nicknames_suggestion_patterns').val(getSuggestionPatterns().join('\n'));
+        if (invalid.length) toastr.warning(t`These patterns are not valid regexes and are skipped: ${invalid.join(', ')}`, t`Nicknames`);
+    };
+    $('#nicknames_suggestion_patterns')
+        .val(getSuggestionPatterns().join('\n'))
+        .on('change', function () {
+            savePatterns(String($(this).val()).split('\n'));
+        });
+    $('#nicknames_suggestion_patterns_reset').on('click', () => savePatterns([...DEFAULT_SUGGESTION_PATTERNS]));
+    refreshSuggestionSettings();
+
     refreshV3CompatWarning();
 
+    $('#nicknames_open_manager').on('click', () => openNicknameManager());
+    $('#nicknames_export').on('click', () => exportNicknameBundle());
+    $('#nicknames_import').on('click', () => $('#nicknames_import_file').trigger('click'));
+    $('#nicknames_orphan_cleanup').on('click', () => openOrphanCleanup());
+    $('#nicknames_chat_maintenance').on('click', () => openChatMaintenance());
+    $('#nicknames_tool_audit').on('click', () => openToolAuditLog());
+    $('#nicknames_import_file').on('change', async function () {
+        const input = /** @type {HTMLInputElement} */ (this);
+        const file = input.files?.[0];
+        // Reset so selecting the same file again triggers another change event
+        input.value = '';
+        if (!file) return;
+
+        if (await importNicknameBundleFromFile(file)) refreshAllUI();
+    });
+
     settingsUiInjected = true;
 }
 
@@ -138,29 +302,79 @@ function refreshV3CompatWarning() {
     $('#nicknames_v3_compat_warning').toggleClass('hidden', !showWarning);
 }
 
+/**
+ * Re-renders the displayed nicknames, e.g. after their format changed.
+ */
+function refreshNicknameDisplays() {
+    if (nicknameSettings.useForCharList) refreshCharacterList();
+    if (nicknameSettings.useForChatMessages) refreshChatMessages();
+}
+
+/**
+ * Shows the option to also search character-level nicknames only while list search is enabled.
+ */
+function refreshListSearchOptions() {
+    $('#nicknames_list_search_options').toggleClass('hidden', !nicknameSettings.useForListSearch);
+}
+
+/**
+ * Shows the per-field toggles of deep substitution only while it is enabled.
+ */
+function refreshDeepSubstitutionFields() {
+    $('#nicknames_deep_substitution_fields').toggleClass('hidden', !nicknameSettings.useDeepSubstitution);
+}
+
+/**
+ * Shows the nickname suggestion patterns only while suggestions are enabled.
+ */
+function refreshSuggestionSettings() {
+    $('#nicknames_suggestion_settings').toggleClass('hidden', !nicknameSettings.suggestNicknames);
+}
+
+/**
+ * Shows the nickname note settings only while the note is enabled, and the depth and role only for in-chat placement.
+ */
+function refreshInjectionSettings() {
+    $('#nicknames_injection_settings').toggleClass('hidden', !nicknameSettings.useForInjection);
+    const inChat = Number($('#nicknames_injection_position').val()) === extension_prompt_types.IN_CHAT;
+    $('#nicknames_injection_depth, #nicknames_injection_role').prop('disabled', !inChat);
+}
+
 // ---------------------------------------------------------------------------
 // Nickname Editor — Data
 // ---------------------------------------------------------------------------
 
 /**
- * Gets the current nickname values for all context levels.
+ * Gets the current nickname values of a slot for all context levels.
+ * Level values are in editable text form, so pools show all of their nicknames.
+ * Uses the same waterfall as prompts and messages, so the effective nickname always matches.
  * @param {'user'|'char'} type
- * @returns {{ global: string|null, char: string|null, chat: string|null, effective: string|null, activeContext: string }}
+ * @param {NicknameSlot} [slot=NicknameSlot.DEFAULT]
+ * The static context is the most specific level with a nickname set, which a matching rule takes precedence over.
+ * @returns {{ global: string|null, char: string|null, group: string|null, chat: string|null, rule: string|null, effective: string|null, activeContext: string, staticContext: string, ruleIndex: number }}
  */
-function getAllNicknameValues(type) {
-    const globalResult = handleNickname(type, null, ContextLevel.GLOBAL);
-    const chatResult = handleNickname(type, null, ContextLevel.CHAT);
-    const effectiveResult = handleNickname(type);
+function getAllNicknameValues(type, slot = NicknameSlot.DEFAULT) {
+    const key = getEditorEntityKey(type);
+    if (!key) return { global: null, char: null, group: null, chat: null, rule: null, effective: null, activeContext: ContextLevel.NONE, staticContext: ContextLevel.NONE, ruleIndex: -1 };
 
-    // char-level context is only available for user/persona type
-    const charResult = type === 'user' ? handleNickname(type, null, ContextLevel.CHAR) : null;
+    const pairKey = getEditorEntityKey(type === 'char' ? 'user' : 'char');
+    const { levels, result } = resolveNicknameWaterfall(type, key, pairKey, { slot });
+    /** @param {ContextLevel} context */
+    const valueOf = (context) => levels.find(level => level.context === context)?.value ?? null;
+    // Named slots don't fall back to the original name
+    const fallbackName = slot === NicknameSlot.DEFAULT ? (type === 'char' ? getCharName(key) : getPersonaName(key)) : null;
 
     return {
-        global: globalResult?.name || null,
-        char: charResult?.name || null,
-        chat: chatResult?.name || null,
-        effective: effectiveResult?.name || null,
-        activeContext: effectiveResult?.context ?? ContextLevel.NONE,
+        global: valueOf(ContextLevel.GLOBAL),
+        char: valueOf(ContextLevel.CHAR),
+        group: valueOf(ContextLevel.GROUP),
+        chat: valueOf(ContextLevel.CHAT),
+        rule: valueOf(ContextLevel.RULE),
+        effective: result.name || fallbackName || null,
+        activeContext: result.context,
+        staticContext: levels.find(level => level.context !== ContextLevel.RULE
+            && [WaterfallStatus.USED, WaterfallStatus.OVERRIDDEN].includes(level.status))?.context ?? ContextLevel.NONE,
+        ruleIndex: result.rule?.index ?? -1,
     };
 }
 
@@ -174,6 +388,27 @@ function getSelectedContext(container) {
         ?? ContextLevel.GLOBAL;
 }
 
+/**
+ * Gets the currently selected slot tab from the editor DOM.
+ * @param {HTMLElement} container
+ * @returns {NicknameSlot}
+ */
+function getSelectedSlot(container) {
+    return /** @type {NicknameSlot} */ (/** @type {HTMLElement|null} */ (container.querySelector('.nickname-slot-tab.selected'))?.dataset.slot
+        ?? NicknameSlot.DEFAULT);
+}
+
+/**
+ * Gets the avatar key of the persona or character an editor belongs to.
+ * @param {'user'|'char'} type
+ * @returns {string|null}
+ */
+function getEditorEntityKey(type) {
+    if (type === 'user') return user_avatar || null;
+    const context = getContext();
+    return context.characters[context.characterId]?.avatar ?? null;
+}
+
 /**
  * Resolves the initial context to pre-select on first render.
  * Trusts the data layer's activeContext directly — priority is already encoded there.
@@ -209,9 +444,13 @@ function escapeHtml(str) {
  * @param {HTMLElement} container
  */
 function updateEditorState(type, container) {
-    const values = getAllNicknameValues(type);
+    const slot = getSelectedSlot(container);
+    const values = getAllNicknameValues(type, slot);
     const hasActiveChat = !!document.querySelector('#chat .mes');
-    const isCharLevelAvailable = type === 'user';
+    // Char-level is keyed by the character-persona pair, so both sides need to be known
+    const isCharLevelAvailable = getContext().characterId !== undefined && !!user_avatar;
+    const isInGroup = !!getContext().groupId;
+    container.classList.toggle('in-group', isInGroup);
 
     // On first render (no button selected yet), auto-select the most specific
     // active context so the user immediately sees the currently effective value.
@@ -220,9 +459,11 @@ function updateEditorState(type, container) {
     const currentSelection = getSelectedContext(container);
     const currentIsUnavailable =
         (currentSelection === ContextLevel.CHAT && !hasActiveChat) ||
+        (currentSelection === ContextLevel.GROUP && !isInGroup) ||
         (currentSelection === ContextLevel.CHAR && !isCharLevelAvailable);
+    // Rules can't be saved to, so the level a rule takes precedence over is selected instead
     const selectedContext = (!hasSelection || currentIsUnavailable)
-        ? resolveInitialContext(values.activeContext)
+        ? resolveInitialContext(values.staticContext)
         : currentSelection;
 
     // Update input (skip if user is actively typing)
@@ -242,7 +483,10 @@ function updateEditorState(type, container) {
         icon.classList.toggle('active', isActive);
 
         // Dynamic tooltip showing value or "not set"
-        const label = ctx === 'global' ? 'Global' : ctx === 'char' ? 'Character' : 'Chat';
+        const label = ctx === 'global' ? 'Global'
+            : ctx === 'char' ? (type === 'user' ? 'Character' : 'Persona')
+                : ctx === 'group' ? 'Group'
+                    : ctx === 'rule' ? 'Rule' : 'Chat';
         const valueText = values[ctx] || 'Not set';
         icon.title = isActive
             ? `${label}: "${valueText}" (active)`
@@ -258,11 +502,60 @@ function updateEditorState(type, container) {
         const ctx = btn.dataset.context;
         const isDisabled =
             (ctx === ContextLevel.CHAR && !isCharLevelAvailable) ||
+            (ctx === ContextLevel.GROUP && !isInGroup) ||
             (ctx === ContextLevel.CHAT && !hasActiveChat);
         btn.classList.toggle('selected', ctx === selectedContext);
         btn.classList.toggle('disabled', isDisabled);
     });
 
+    // Update slot tabs: mark slots that have a nickname on any level
+    container.querySelectorAll('.nickname-slot-tab').forEach(el => {
+        const tab = /** @type {HTMLElement} */ (el);
+        const tabSlot = /** @type {NicknameSlot} */ (tab.dataset.slot);
+        const hasValue = handleNickname(type, null, null, { slot: tabSlot })?.context !== ContextLevel.NONE;
+        tab.classList.toggle('has-value', hasValue);
+    });
+
+    // Update pool mode (per entity, shared by all levels and slots)
+    const entityKey = getEditorEntityKey(type);
+    const poolModeSelect = /** @type {HTMLSelectElement|null} */ (container.querySelector('.nickname-pool-mode'));
+    if (poolModeSelect) {
+        poolModeSelect.disabled = !entityKey;
+        poolModeSelect.value = entityKey ? getPoolMode(type, entityKey) : PoolMode.FIRST;
+    }
+
+    // Update function calling policy (per character)
+    const toolPolicySelect = /** @type {HTMLSelectElement|null} */ (container.querySelector('.nickname-tool-policy'));
+    if (toolPolicySelect && type === 'char') {
+        toolPolicySelect.disabled = !entityKey;
+        toolPolicySelect.value = entityKey ? getToolPolicy(entityKey) : ToolPolicy.CONFIRM;
+    }
+
+    // Update nickname note override (per character)
+    const injectionModeSelect = /** @type {HTMLSelectElement|null} */ (container.querySelector('.nickname-injection-mode'));
+    const injectionTemplateInput = /** @type {HTMLTextAreaElement|null} */ (container.querySelector('.nickname-injection-template'));
+    if (injectionModeSelect && injectionTemplateInput && type === 'char') {
+        const override = entityKey ? getInjectionOverride(entityKey) : null;
+        injectionModeSelect.disabled = !entityKey;
+        // Keep a custom mode without text yet, until the user typed, switched away or changed characters
+        if (injectionModeSelect.value !== 'custom' || override || injectionModeSelect.dataset.charKey !== entityKey) {
+            injectionModeSelect.value = override?.disabled ? 'off' : override?.template ? 'custom' : 'default';
+        }
+        injectionModeSelect.dataset.charKey = entityKey ?? '';
+        if (document.activeElement !== injectionTemplateInput) {
+            injectionTemplateInput.value = override?.template ?? '';
+        }
+        injectionTemplateInput.classList.toggle('hidden', injectionModeSelect.value !== 'custom');
+    }
+
+    // Update conditional nickname rules (per persona or character)
+    const rules = entityKey ? getNicknameRules(type, entityKey) : [];
+    container.classList.toggle('has-rules', rules.length > 0);
+    renderNicknameRules(container, entityKey, rules, values.ruleIndex);
+
+    // Update nickname stages (per persona or character, stored in the chat)
+    renderNicknameStages(container, getContext().chatId ? entityKey : null);
+
     // Update clear button (disabled when no value at selected context)
     const clearBtn = /** @type {HTMLButtonElement|null} */ (container.querySelector('.nickname-clear-btn'));
     if (clearBtn) {
@@ -281,7 +574,9 @@ function updateEditorState(type, container) {
         if (level === 'effective') {
             valueEl.innerHTML = values.effective
                 ? escapeHtml(values.effective)
-                : '<em data-i18n="Using original name">Using original name</em>';
+                : slot === NicknameSlot.DEFAULT
+                    ? '<em data-i18n="Using original name">Using original name</em>'
+                    : '<em data-i18n="Using regular nickname">Using regular nickname</em>';
             return;
         }
 
@@ -291,8 +586,12 @@ function updateEditorState(type, container) {
         row.classList.toggle('has-value', !!values[level]);
         row.classList.toggle('disabled', isN_A || isUnavailable);
 
-        if (isN_A) {
-            valueEl.innerHTML = '<em data-i18n="N/A (personas only)">N/A (personas only)</em>';
+        if (level === ContextLevel.RULE) {
+            valueEl.innerHTML = values.rule
+                ? `${escapeHtml(values.rule)} <small>(#${values.ruleIndex + 1})</small>`
+                : '<em data-i18n="No rule matches">No rule matches</em>';
+        } else if (isN_A) {
+            valueEl.innerHTML = '<em data-i18n="N/A (no active character)">N/A (no active character)</em>';
         } else if (isUnavailable) {
             valueEl.innerHTML = '<em data-i18n="N/A (no active chat)">N/A (no active chat)</em>';
         } else {
@@ -326,6 +625,217 @@ function resetAndRefreshNicknameEditor(type) {
     updateEditorState(type, container);
 }
 
+// ---------------------------------------------------------------------------
+// Nickname Editor — Rules
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads the conditional nickname rules as currently entered in an editor.
+ * @param {HTMLElement} container
+ * @returns {import('./nicknames.js').NicknameRule[]}
+ */
+function readNicknameRules(container) {
+    return $(container).find('.nickname-rules-list .nickname-rule').toArray().map(el => {
+        const $rule = $(el);
+        return {
+            scope: /** @type {VariableScope} */ (String($rule.find('.nickname-rule-scope').val())),
+            variable: String($rule.find('.nickname-rule-variable').val()),
+            operator: /** @type {RuleOperator} */ (String($rule.find('.nickname-rule-operator').val())),
+            value: String($rule.find('.nickname-rule-value').val()),
+            nickname: parseNicknamePool(String($rule.find('.nickname-rule-nickname').val())) ?? '',
+        };
+    });
+}
+
+/**
+ * Renders the conditional nickname rules of the editor's persona or character, and marks the matching one.
+ * Rules being edited are kept as entered, unless the editor switched to another persona or character.
+ * @param {HTMLElement} container
+ * @param {string|null} entityKey
+ * @param {import('./nicknames.js').NicknameRule[]} rules - The stored rules
+ * @param {number} activeIndex - Index of the matching rule, or -1
+ */
+function renderNicknameRules(container, entityKey, rules, activeIndex) {
+    const list = /** @type {HTMLElement|null} */ (container.querySelector('.nickname-rules-list'));
+    const template = container.querySelector('.nickname-rule-template');
+    if (!list || !(template instanceof HTMLTemplateElement)) return;
+
+    const isOtherEntity = list.dataset.entityKey !== (entityKey ?? '');
+    const isEditing = list.contains(document.activeElement);
+    if (isOtherEntity || (!isEditing && JSON.stringify(readNicknameRules(container)) !== JSON.stringify(rules))) {
+        list.replaceChildren(...rules.map(rule => {
+            const $rule = $(template.content.firstElementChild.cloneNode(true));
+            $rule.find('.nickname-rule-scope').val(rule.scope);
+            $rule.find('.nickname-rule-variable').val(rule.variable);
+            $rule.find('.nickname-rule-operator').val(rule.operator);
+            $rule.find('.nickname-rule-value').val(rule.value);
+            $rule.find('.nickname-rule-nickname').val(formatNicknamePool(rule.nickname));
+            return $rule[0];
+        }));
+        list.dataset.entityKey = entityKey ?? '';
+    }
+
+    const ruleEls = list.querySelectorAll('.nickname-rule');
+    ruleEls.forEach((el, index) => {
+        const operator = $(el).find('.nickname-rule-operator').val();
+        el.classList.toggle('active', index === activeIndex);
+        $(el).find('.nickname-rule-value').toggleClass('hidden', operator === RuleOperator.EXISTS || operator === RuleOperator.NOT_EXISTS);
+        $(el).find('.nickname-rule-up').toggleClass('disabled', index === 0);
+        $(el).find('.nickname-rule-down').toggleClass('disabled', index === ruleEls.length - 1);
+    });
+    $(container).find('.nickname-rule-add').toggleClass('disabled', !entityKey);
+}
+
+/**
+ * Saves the rules entered in an editor, after an optional change to their list.
+ * @param {JQuery} $container - The `.nickname-editor-container`
+ * @param {(rules: import('./nicknames.js').NicknameRule[]) => void} [edit] - Changes the list before it is saved
+ */
+function saveEditorRules($container, edit) {
+    const type = /** @type {'user'|'char'} */ ($container.attr('data-type'));
+    const entityKey = type ? getEditorEntityKey(type) : null;
+    if (!entityKey) return;
+
+    const rules = readNicknameRules($container[0]);
+    edit?.(rules);
+    setNicknameRules(type, entityKey, rules);
+    refreshAllUI();
+}
+
+/**
+ * Index of the matching rule of each persona and character with rules, by `type:key`, -1 if none matches.
+ * Kept to only refresh the displayed nicknames when a rule result changed.
+ * @type {Map<string, number>}
+ */
+const ruleMatches = new Map();
+
+/**
+ * Checks all rules against the current variables, and remembers which of them match.
+ * @returns {Set<'user'|'char'>} Whether the rule results of personas or characters changed since the last check
+ */
+function updateRuleMatches() {
+    const rules = getSettings().nicknameRules;
+    /** @type {Set<'user'|'char'>} */
+    const changedTypes = new Set();
+    /** @type {Set<string>} */
+    const checked = new Set();
+
+    for (const [type, keys] of /** @type {['user'|'char', string[]][]} */ ([['user', Object.keys(rules.personas)], ['char', Object.keys(rules.chars)]])) {
+        for (const key of keys) {
+            const id = `${type}:${key}`;
+            const index = findMatchingNicknameRule(type, key)?.index ?? -1;
+            if ((ruleMatches.get(id) ?? -1) !== index) changedTypes.add(type);
+            ruleMatches.set(id, index);
+            checked.add(id);
+        }
+    }
+    for (const id of ruleMatches.keys()) {
+        if (!checked.has(id)) ruleMatches.delete(id);
+    }
+    return changedTypes;
+}
+
+/**
+ * Refreshes the displayed nicknames if the variables changed which rules match.
+ * Only the editors of the changed type are refreshed, all other places show both types.
+ */
+function refreshRuleNicknames() {
+    const changedTypes = updateRuleMatches();
+    if (!changedTypes.size) return;
+
+    for (const type of changedTypes) refreshNicknameEditor(type);
+    if (changedTypes.has('char')) refreshGroupMemberEditors();
+    if (nicknameSettings.useForCharList) refreshCharacterList();
+    if (nicknameSettings.useForChatMessages) refreshChatMessages();
+    if (nicknameSettings.useForMessageText) refreshMessageTexts();
+    refreshNameSurfaces();
+}
+
+// ---------------------------------------------------------------------------
+// Nickname Editor — Stages
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads the nickname stages as currently entered in an editor.
+ * Whether a stage is reached is not shown in the inputs, so it is taken from the stored stage at the same position.
+ * @param {HTMLElement} container
+ * @param {import('./stages.js').NicknameStage[]} stored - The stored stages
+ * @returns {import('./stages.js').NicknameStage[]}
+ */
+function readNicknameStages(container, stored) {
+    return $(container).find('.nickname-stages-list .nickname-stage').toArray().map((el, index) => {
+        const $stage = $(el);
+        return {
+            trigger: /** @type {StageTrigger} */ (String($stage.find('.nickname-stage-trigger').val())),
+            messageCount: Math.max(1, Math.floor(Number($stage.find('.nickname-stage-count').val())) || 1),
+            pattern: String($stage.find('.nickname-stage-pattern').val()),
+            nickname: String($stage.find('.nickname-stage-nickname').val()).trim(),
+            reached: stored[index]?.reached ?? null,
+        };
+    });
+}
+
+/**
+ * Renders the nickname stages of the editor's persona or character in the open chat.
+ * Stages being edited are kept as entered, unless the editor switched to another persona, character or chat.
+ * @param {HTMLElement} container
+ * @param {string|null} entityKey - The persona or character, null if no chat is open
+ */
+function renderNicknameStages(container, entityKey) {
+    const list = /** @type {HTMLElement|null} */ (container.querySelector('.nickname-stages-list'));
+    const template = container.querySelector('.nickname-stage-template');
+    if (!list || !(template instanceof HTMLTemplateElement)) return;
+
+    const type = /** @type {'user'|'char'} */ (container.dataset.type);
+    const stages = entityKey ? getNicknameStages(type, entityKey) : [];
+    const listKey = entityKey ? `${getContext().chatId}:${entityKey}` : '';
+
+    const isOtherEntity = list.dataset.entityKey !== listKey;
+    const isEditing = list.contains(document.activeElement);
+    if (isOtherEntity || (!isEditing && JSON.stringify(readNicknameStages(container, stages)) !== JSON.stringify(stages))) {
+        list.replaceChildren(...stages.map(stage => {
+            const $stage = $(template.content.firstElementChild.cloneNode(true));
+            $stage.find('.nickname-stage-trigger').val(stage.trigger);
+            $stage.find('.nickname-stage-count').val(stage.messageCount);
+            $stage.find('.nickname-stage-pattern').val(stage.pattern);
+            $stage.find('.nickname-stage-nickname').val(stage.nickname);
+            return $stage[0];
+        }));
+        list.dataset.entityKey = listKey;
+    }
+
+    list.querySelectorAll('.nickname-stage').forEach((el, index) => {
+        const $stage = $(el);
+        const trigger = $stage.find('.nickname-stage-trigger').val();
+        const reached = stages[index]?.reached;
+        $stage.toggleClass('reached', !!reached);
+        $stage.find('.nickname-stage-count').toggleClass('hidden', trigger !== StageTrigger.MESSAGES);
+        $stage.find('.nickname-stage-pattern').toggleClass('hidden', trigger !== StageTrigger.PATTERN);
+        $stage.find('.nickname-stage-reached, .nickname-stage-reset').toggleClass('hidden', !reached);
+        $stage.find('.nickname-stage-reached').attr('title', reached
+            ? t`Reached at message #${reached.messageId}, now called "${reached.nickname}"`
+            : '');
+    });
+    $(container).find('.nickname-stage-add').toggleClass('disabled', !entityKey)
+        .attr('title', entityKey ? t`Add a stage` : t`Open a chat to add stages`);
+}
+
+/**
+ * Saves the stages entered in an editor, after an optional change to their list.
+ * @param {JQuery} $container - The `.nickname-editor-container`
+ * @param {(stages: import('./stages.js').NicknameStage[]) => void} [edit] - Changes the list before it is saved
+ */
+function saveEditorStages($container, edit) {
+    const type = /** @type {'user'|'char'} */ ($container.attr('data-type'));
+    const entityKey = type ? getEditorEntityKey(type) : null;
+    if (!entityKey || !getContext().chatId) return;
+
+    const stages = readNicknameStages($container[0], getNicknameStages(type, entityKey));
+    edit?.(stages);
+    setNicknameStages(type, entityKey, stages);
+    refreshAllUI();
+}
+
 // ---------------------------------------------------------------------------
 // Nickname Editor — Injection
 // ---------------------------------------------------------------------------
@@ -398,6 +908,20 @@ function registerEditorEventListeners() {
         updateEditorState(type, $container[0]);
     });
 
+    // Slot tab selection - keeps the selected context, so the same level can be filled for several slots
+    $(document).on('click', '.nickname-editor-container .nickname-slot-tab', function () {
+        const $tab = $(this);
+        const $container = $tab.closest('.nickname-editor-container');
+        const type = /** @type {'user'|'char'} */ ($container.attr('data-type'));
+        if (!type) return;
+
+        $container.find('.nickname-slot-tab').removeClass('selected');
+        $tab.addClass('selected');
+        // Show the stored value of the new slot, even if the input is focused
+        $container.find('.nickname-input').trigger('blur');
+        updateEditorState(type, $container[0]);
+    });
+
     // Save button
     $(document).on('click', '.nickname-editor-container .nickname-save-btn', function () {
         const $container = $(this).closest('.nickname-editor-container');
@@ -412,13 +936,14 @@ function registerEditorEventListeners() {
         }
 
         const context = getSelectedContext($container[0]);
-        const currentNickname = handleNickname(type, null, context);
+        const slot = getSelectedSlot($container[0]);
+        const currentNickname = handleNickname(type, null, context, { slot });
 
         // Update nickname
-        const nickname = handleNickname(type, value, context);
+        const nickname = handleNickname(type, value, context, { slot });
         refreshAllUI();
 
-        if (currentNickname.name !== nickname.name) {
+        if (formatNicknamePool(currentNickname.pool) !== formatNicknamePool(nickname.pool)) {
             toastr.success(`Nickname saved to ${context} level`, 'Nicknames');
         }
     });
@@ -430,9 +955,10 @@ function registerEditorEventListeners() {
         if (!type) return;
 
         const context = getSelectedContext($container[0]);
-        const currentNickname = handleNickname(type, null, context);
+        const slot = getSelectedSlot($container[0]);
+        const currentNickname = handleNickname(type, null, context, { slot });
 
-        handleNickname(type, null, context, { reset: true });
+        handleNickname(type, null, context, { reset: true, slot });
         refreshAllUI();
 
         if (currentNickname.context !== ContextLevel.NONE) {
@@ -440,6 +966,100 @@ function registerEditorEventListeners() {
         }
     });
 
+    // Pool mode selection
+    $(document).on('change', '.nickname-editor-container .nickname-pool-mode', function () {
+        const type = /** @type {'user'|'char'} */ ($(this).closest('.nickname-editor-container').attr('data-type'));
+        const entityKey = getEditorEntityKey(type);
+        if (!type || !entityKey) return;
+
+        setPoolMode(type, entityKey, /** @type {PoolMode} */ (String($(this).val())));
+        refreshAllUI();
+    });
+
+    // Function calling policy selection
+    $(document).on('change', '.nickname-editor-container .nickname-tool-policy', function () {
+        const charKey = getEditorEntityKey('char');
+        if (!charKey) return;
+
+        setToolPolicy(charKey, /** @type {ToolPolicy} */ (String($(this).val())));
+        refreshAllUI();
+    });
+
+    // Nickname note override - saved as typed, an empty custom note uses the default again
+    $(document).on('change', '.nickname-editor-container .nickname-injection-mode', function () {
+        const charKey = getEditorEntityKey('char');
+        if (!charKey) return;
+
+        const mode = String($(this).val());
+        const template = String($(this).closest('.nickname-injection-row').find('.nickname-injection-template').val());
+        setInjectionOverride(charKey, mode === 'off' ? { disabled: true } : mode === 'custom' ? { template } : null);
+        updateNicknameInjection();
+        refreshAllUI();
+    });
+    $(document).on('input', '.nickname-editor-container .nickname-injection-template', function () {
+        const charKey = getEditorEntityKey('char');
+        if (!charKey) return;
+
+        setInjectionOverride(charKey, { template: String($(this).val()) });
+        updateNicknameInjection();
+    });
+
+    // Conditional nickname rules - saved on every change, in the order shown
+    $(document).on('click', '.nickname-editor-container .nickname-rule-add:not(.disabled)', function () {
+        const $container = $(this).closest('.nickname-editor-container');
+        saveEditorRules($container, rules => rules.push({
+            scope: VariableScope.LOCAL,
+            variable: '',
+            operator: RuleOperator.LT,
+            value: '',
+            nickname: '',
+        }));
+        $container.find('.nickname-rules-list .nickname-rule-variable').last().trigger('focus');
+    });
+    $(document).on('change', '.nickname-editor-container .nickname-rule :input', function () {
+        saveEditorRules($(this).closest('.nickname-editor-container'));
+    });
+    $(document).on('click', '.nickname-editor-container .nickname-rule-up:not(.disabled), .nickname-editor-container .nickname-rule-down:not(.disabled)', function () {
+        const index = $(this).closest('.nickname-rule').index();
+        const target = $(this).hasClass('nickname-rule-up') ? index - 1 : index + 1;
+        saveEditorRules($(this).closest('.nickname-editor-container'), rules => {
+            [rules[index], rules[target]] = [rules[target], rules[index]];
+        });
+    });
+    $(document).on('click', '.nickname-editor-container .nickname-rule-delete', function () {
+        const index = $(this).closest('.nickname-rule').index();
+        saveEditorRules($(this).closest('.nickname-editor-container'), rules => rules.splice(index, 1));
+    });
+
+    // Nickname stages of the open chat - saved on every change
+    $(document).on('click', '.nickname-editor-container .nickname-stage-add:not(.disabled)', function () {
+        const $container = $(this).closest('.nickname-editor-container');
+        saveEditorStages($container, stages => stages.push({
+            trigger: StageTrigger.MESSAGES,
+            messageCount: 100,
+            pattern: '',
+            nickname: '',
+            reached: null,
+        }));
+        $container.find('.nickname-stages-list .nickname-stage-nickname').last().trigger('focus');
+    });
+    $(document).on('change', '.nickname-editor-container .nickname-stage :input', function () {
+        saveEditorStages($(this).closest('.nickname-editor-container'));
+    });
+    $(document).on('click', '.nickname-editor-container .nickname-stage-reset', function () {
+        const $container = $(this).closest('.nickname-editor-container');
+        const type = /** @type {'user'|'char'} */ ($container.attr('data-type'));
+        const entityKey = type ? getEditorEntityKey(type) : null;
+        if (!entityKey) return;
+
+        resetNicknameStage(type, entityKey, $(this).closest('.nickname-stage').index());
+        refreshAllUI();
+    });
+    $(document).on('click', '.nickname-editor-container .nickname-stage-delete', function () {
+        const index = $(this).closest('.nickname-stage').index();
+        saveEditorStages($(this).closest('.nickname-editor-container'), stages => stages.splice(index, 1));
+    });
+
     // Enter key submits save
     $(document).on('keypress', '.nickname-editor-container .nickname-input', function (e) {
         if (e.key === 'Enter') {
@@ -469,6 +1089,9 @@ export async function injectUI() {
     await injectSettingsUI();
     await injectUserNicknameEditor();
     await injectCharNicknameEditor();
+    await injectGroupMemberEditors();
+    injectListSearch();
+    refreshNameSurfaces();
 }
 
 /**
@@ -476,18 +1099,28 @@ export async function injectUI() {
  */
 export function registerUIEventListeners() {
     registerEditorEventListeners();
+    registerGroupMemberEventListeners();
 
     // On context-change events the old selection is stale — reset and re-resolve.
     eventSource.on(event_types.PERSONA_CHANGED, () => {
         resetAndRefreshNicknameEditor('user');
+        // Char-level character nicknames depend on the active persona
+        resetAndRefreshNicknameEditor('char');
+        if (nicknameSettings.useForCharList) refreshCharacterList();
         if (nicknameSettings.useForChatMessages) refreshChatMessages();
+        refreshNameSurfaces();
     });
     eventSource.on(event_types.CHAT_CHANGED, () => {
+        // Everything is refreshed below, with the rule results of the new chat
+        updateRuleMatches();
         resetAndRefreshNicknameEditor('user');
         resetAndRefreshNicknameEditor('char');
         if (nicknameSettings.useForCharList) refreshCharacterList();
         if (nicknameSettings.useForChatMessages) refreshChatMessages();
+        refreshNameSurfaces();
     });
+    // Group members and their nicknames may have changed
+    eventSource.on(event_types.GROUP_UPDATED, refreshNameSurfaces);
     eventSource.on(event_types.CHAT_LOADED, () => {
         if (nicknameSettings.useForChatMessages) refreshChatMessages();
     });
@@ -495,13 +1128,30 @@ export function registerUIEventListeners() {
         if (nicknameSettings.useForChatMessages) refreshChatMessages();
     });
 
-    // Patch each newly rendered message immediately
+    // Keep the nickname each new message was sent with, and patch it immediately
     eventSource.on(event_types.USER_MESSAGE_RENDERED, (/** @type {number} */ messageId) => {
+        recordNicknameSnapshot(messageId);
         applyNicknameToMessage(messageId);
     });
     eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, (/** @type {number} */ messageId) => {
+        recordNicknameSnapshot(messageId);
         applyNicknameToMessage(messageId);
     });
+
+    // Rules follow chat variables, which trackers and scripts usually update along with messages and generations.
+    // SillyTavern has no event for changed variables, so these are the points they are checked at.
+    for (const eventType of [
+        event_types.MESSAGE_SENT,
+        event_types.MESSAGE_RECEIVED,
+        event_types.MESSAGE_SWIPED,
+        event_types.GENERATION_ENDED,
+        event_types.GENERATION_STOPPED,
+    ]) {
+        eventSource.on(eventType, refreshRuleNicknames);
+    }
+
+    // Registered last, so new messages have their nickname snapshot already
+    registerMessageTextEventListeners();
 }
 
 // ---------------------------------------------------------------------------
@@ -535,13 +1185,14 @@ function applyNicknameToCharItem(el, apply) {
     const char = context.characters[chid];
     if (!char?.avatar) return;
 
-    const result = getNicknameForCharAvatar(char.avatar);
+    // For character nicknames, char-level lookup requires the active persona key
+    const result = getNicknameForCharAvatar(char.avatar, user_avatar);
     if (result.context === ContextLevel.NONE) return;
 
     if (el.dataset.nicknameOriginalName === undefined) {
         el.dataset.nicknameOriginalName = chNameEl.textContent;
     }
-    chNameEl.textContent = result.name;
+    chNameEl.replaceChildren(renderNicknameLabel(DisplaySurface.CHAR_LIST, result, el.dataset.nicknameOriginalName));
     chNameEl.title = `[Character] ${el.dataset.nicknameOriginalName}`;
 }
 
@@ -576,7 +1227,7 @@ function applyNicknameToPersonaItem(el, apply) {
     if (el.dataset.nicknameOriginalName === undefined) {
         el.dataset.nicknameOriginalName = chNameEl.textContent;
     }
-    chNameEl.textContent = result.name;
+    chNameEl.replaceChildren(renderNicknameLabel(DisplaySurface.PERSONA_LIST, result, el.dataset.nicknameOriginalName));
     chNameEl.title = `[Persona] ${el.dataset.nicknameOriginalName}`;
 }
 
@@ -649,64 +1300,19 @@ export function refreshCharacterList() {
 
 /**
  * Resolves the nickname to display for a single chat message DOM element.
- * Strategy:
- *   1. Look up the message in the chat array by mesid for `original_avatar`.
- *   2. If is_user: resolve persona nickname via original_avatar key.
- *   3. If char: resolve char nickname via original_avatar key.
- *   4. Fallback: match ch_name against character list for a best-effort avatar key.
  * @param {HTMLElement} mesEl - The `.mes` DOM element
- * @returns {string|null} Nickname to display, or null if none
+ * @returns {import('./nicknames.js').NicknameResult|null} Nickname to display, or null if none
  */
 function resolveNicknameForMesElement(mesEl) {
-    const context = getContext();
     const mesId = Number(mesEl.getAttribute('mesid'));
-    const isUser = mesEl.getAttribute('is_user') === 'true';
-    const isSystem = mesEl.getAttribute('is_system') === 'true';
-    const chName = mesEl.getAttribute('ch_name') ?? '';
-
-    if (isSystem) return null;
-
-    const chatMessage = context.chat?.[mesId];
-    const originalAvatar = chatMessage?.original_avatar ?? null;
-
-    if (isUser) {
-        // Extract the persona key from the force_avatar URL stored in the chat message object.
-        // The URL format is: /thumbnail?type=persona&file=PERSONA_KEY
-        const forceAvatarUrl = chatMessage?.force_avatar ?? null;
-        if (!forceAvatarUrl) return null;
-
-        let personaKey = null;
-        try {
-            const url = new URL(forceAvatarUrl, window.location.origin);
-            personaKey = url.searchParams.get('file');
-        } catch {
-            return null;
-        }
-        if (!personaKey) return null;
-
-        // For char-level lookup, we need the current char key
-        const charKey = context.characters[context.characterId]?.avatar ?? null;
-        const result = getNicknameForPersonaAvatar(personaKey, charKey);
-        return result.context !== ContextLevel.NONE ? result.name : null;
-    }
-
-    // Character message — resolve avatar key
-    let charAvatarKey = originalAvatar;
-    if (!charAvatarKey) {
-        // For 1:1 chats: use the active character's avatar key directly
-        if (context.characterId !== undefined) {
-            charAvatarKey = context.characters[context.characterId]?.avatar ?? null;
-        }
-        // Fallback: best-effort match by name across all characters
-        if (!charAvatarKey) {
-            charAvatarKey = context.characters.find(c => c.name === chName)?.avatar ?? null;
-        }
-    }
+    if (mesEl.getAttribute('is_system') === 'true') return null;
 
-    if (!charAvatarKey) return null;
-
-    const result = getNicknameForCharAvatar(charAvatarKey);
-    return result.context !== ContextLevel.NONE ? result.name : null;
+    const message = getContext().chat?.[mesId] ?? {
+        is_user: mesEl.getAttribute('is_user') === 'true',
+        name: mesEl.getAttribute('ch_name') ?? '',
+    };
+    const result = getNicknameForMessage(message, mesId);
+    return result && result.context !== ContextLevel.NONE ? result : null;
 }
 
 /**
@@ -730,14 +1336,14 @@ function applyNicknameToMesElement(mesEl, apply = true) {
         return;
     }
 
-    const nickname = resolveNicknameForMesElement(mesEl);
-    if (!nickname) return;
+    const result = resolveNicknameForMesElement(mesEl);
+    if (!result) return;
 
     // Store original only once (don't overwrite if already stored)
     if (mesEl.dataset.nicknameOriginalName === undefined) {
         mesEl.dataset.nicknameOriginalName = nameTextEl.textContent;
     }
-    nameTextEl.textContent = nickname;
+    nameTextEl.replaceChildren(renderNicknameLabel(DisplaySurface.MESSAGE, result, mesEl.dataset.nicknameOriginalName));
     const isUser = mesEl.getAttribute('is_user') === 'true';
     const label = isUser ? 'Persona' : 'Character';
     nameTextEl.title = `[${label}] ${mesEl.dataset.nicknameOriginalName}`;
@@ -771,6 +1377,181 @@ export function applyNicknameToMessage(messageId) {
 export function refreshAllUI() {
     refreshNicknameEditor('user');
     refreshNicknameEditor('char');
+    refreshGroupMemberEditors();
     if (nicknameSettings.useForCharList) refreshCharacterList();
     if (nicknameSettings.useForChatMessages) refreshChatMessages();
+    if (nicknameSettings.useForMessageText) refreshMessageTexts();
+    refreshNameSurfaces();
+}
+
+// ---------------------------------------------------------------------------
+// Other Name Surfaces
+// ---------------------------------------------------------------------------
+
+/**
+ * A place outside of chat messages and the lists that shows full names, and can show nicknames instead.
+ * Names are swapped in the text nodes of the matched elements, so any other markup is left alone.
+ * @typedef {object} NameSurface
+ * @property {string} id - Key of the surface toggle in the `nameSurfaces` setting
+ * @property {string} root - Selector of the element the surface is rendered in, watched for re-renders
+ * @property {string} selector - Selector of the elements showing names, within the root
+ * @property {(el: HTMLElement, text: string) => string|null} render - Gets the text shown instead of the original text of an element, or null to keep it
+ */
+
+/**
+ * Creates a render function for elements showing nothing but a single name.
+ * @param {(el: HTMLElement, fullName: string) => import('./nicknames.js').NicknameResult|null} resolve - Resolves the nickname of the name shown in an element
+ * @returns {NameSurface['render']}
+ */
+function renderWholeName(resolve) {
+    return (el, text) => {
+        const fullName = text.trim();
+        if (!fullName) return null;
+        const result = resolve(el, fullName);
+        return result && result.context !== ContextLevel.NONE && result.name ? text.replace(fullName, result.name) : null;
+    };
+}
+
+/**
+ * Render function for elements with names somewhere in their text - swaps the names of the current chat.
+ * @type {NameSurface['render']}
+ */
+function renderNamesInText(_el, text) {
+    return substituteNames(text, getNameReplacements());
+}
+
+/** @type {NameSurface[]} */
+const NAME_SURFACES = [
+    {
+        // The selected character's name at the top of the right panel - groups show the group name here
+        id: 'rightPanel',
+        root: '#rm_button_selected_ch',
+        selector: 'h2',
+        render: renderWholeName((_el, fullName) => {
+            const context = getContext();
+            const char = context.groupId ? null : context.characters[context.characterId];
+            return char?.name === fullName ? getNicknameForCharAvatar(char.avatar, user_avatar) : null;
+        }),
+    },
+    {
+        id: 'groupMembers',
+        root: '#rm_group_members',
+        selector: '.group_member .ch_name',
+        render: renderWholeName((el, fullName) => {
+            const char = getContext().characters[Number(el.closest('.group_member')?.getAttribute('data-chid'))];
+            return char?.name === fullName ? getNicknameForCharAvatar(char.avatar, user_avatar) : null;
+        }),
+    },
+    {
+        // Name of the current persona in persona management, opened from the top bar
+        id: 'personaSelector',
+        root: '#persona_controls',
+        selector: '#your_name',
+        render: renderWholeName(() => {
+            const context = getContext();
+            return user_avatar ? getNicknameForPersonaAvatar(user_avatar, context.characters[context.characterId]?.avatar ?? null) : null;
+        }),
+    },
+    {
+        // Rendered by typing indicator extensions, e.g. "Seraphina is typing..."
+        id: 'typingIndicator',
+        root: '#sheld',
+        selector: '.typing_indicator',
+        render: renderNamesInText,
+    },
+    {
+        id: 'recentChats',
+        root: '#chat',
+        selector: '.recentChat:not(.group) .characterName',
+        render: renderWholeName((el, fullName) => {
+            const charKey = el.closest('.recentChat')?.getAttribute('data-avatar');
+            const char = charKey ? getContext().characters.find(c => c.avatar === charKey) : null;
+            return char?.name === fullName ? getNicknameForCharAvatar(char.avatar, user_avatar) : null;
+        }),
+    },
+    {
+        // Only changes anything if SillyTavern or another extension puts a name in the title
+        id: 'tabTitle',
+        root: 'head',
+        selector: 'title',
+        render: renderNamesInText,
+    },
+];
+
+/** Original and shown text of the text nodes a nickname was put in */
+const patchedTextNodes = /** @type {WeakMap<Text, { original: string, shown: string }>} */ (new WeakMap());
+
+/** @type {Map<string, MutationObserver>} */
+const nameSurfaceObservers = new Map();
+
+/**
+ * Whether nicknames are shown in a name surface.
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isNameSurfaceEnabled(id) {
+    return !!getSettings().nameSurfaces[id];
+}
+
+/**
+ * Shows nicknames in (or restores the full names of) the text of a single name surface element.
+ * Text SillyTavern rendered anew since the nickname was put in is taken as the new original.
+ * @param {NameSurface} surface
+ * @param {HTMLElement} el
+ * @param {boolean} apply - true to show nicknames, false to restore the full names
+ */
+function patchNameSurfaceElement(surface, el, apply) {
+    /** @type {Text[]} */
+    const textNodes = [];
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) textNodes.push(/** @type {Text} */ (walker.currentNode));
+
+    for (const textNode of textNodes) {
+        const patch = patchedTextNodes.get(textNode);
+        const original = patch && textNode.data === patch.shown ? patch.original : textNode.data;
+        const shown = apply ? surface.render(el, original) : null;
+
+        if (shown !== null && shown !== original) {
+            patchedTextNodes.set(textNode, { original, shown });
+        } else {
+            patchedTextNodes.delete(textNode);
+        }
+        // Only write changed text, so the surface observers are not triggered by their own changes forever
+        const text = shown ?? original;
+        if (textNode.data !== text) textNode.data = text;
+    }
+}
+
+/**
+ * Patches all currently rendered elements of a name surface.
+ * @param {NameSurface} surface
+ * @param {boolean} apply
+ */
+function patchNameSurface(surface, apply) {
+    const root = document.querySelector(surface.root);
+    root?.querySelectorAll(surface.selector).forEach(el => {
+        patchNameSurfaceElement(surface, /** @type {HTMLElement} */ (el), apply);
+    });
+}
+
+/**
+ * Updates all name surfaces to show nicknames where enabled, and restores the full names where not.
+ * Enabled surfaces are watched, so they are patched again whenever SillyTavern re-renders them.
+ */
+export function refreshNameSurfaces() {
+    for (const surface of NAME_SURFACES) {
+        const enabled = isNameSurfaceEnabled(surface.id);
+        patchNameSurface(surface, enabled);
+
+        if (enabled && !nameSurfaceObservers.has(surface.id)) {
+            const root = document.querySelector(surface.root);
+            if (!root) continue;
+            const observer = new MutationObserver(() => patchNameSurface(surface, true));
+            observer.observe(root, { childList: true, subtree: true, characterData: true });
+            nameSurfaceObservers.set(surface.id, observer);
+        } else if (!enabled) {
+            nameSurfaceObservers.get(surface.id)?.disconnect();
+            nameSurfaceObservers.delete(surface.id);
+        }
+    }
 }
@@ -0,0 +1,138 @@
+/**
+ * Write-through of nicknames into the chat itself.
+ * Displayed names are only patched in the DOM, so chat exports, other extensions and SillyTavern itself
+ * still see the full names. In write-through mode, the nickname is stored as the `name` of each new message,
+ * and the full name is kept in its `extra`, so it can be restored.
+ */
+
+import { eventSource, event_types, reloadCurrentChat, saveChatConditional, saveChatDebounced } from '../../../../../script.js';
+import { Popup } from '/scripts/popup.js';
+import { t } from '/scripts/i18n.js';
+import { getContext } from '/scripts/st-context.js';
+import { ContextLevel, ORIGINAL_NAME_EXTRA_KEY, getNicknameForMessage, nicknameSettings } from './nicknames.js';
+
+/**
+ * Stores the nickname as the sender name of a message, keeping the full name in its `extra`.
+ * Messages that already store a nickname keep it - the name is written once, when the message is created.
+ * @param {number} messageIndex - Index of the message in the chat
+ * @returns {boolean} Whether the message was changed
+ */
+export function writeNicknameToMessage(messageIndex) {
+    const message = getContext().chat[messageIndex];
+    if (!message || message.is_system || message.extra?.[ORIGINAL_NAME_EXTRA_KEY] !== undefined) return false;
+
+    const result = getNicknameForMessage(message, messageIndex);
+    if (!result || result.context === ContextLevel.NONE || !result.name || result.name === message.name) return false;
+
+    message.extra = { ...message.extra, [ORIGINAL_NAME_EXTRA_KEY]: message.name };
+    message.name = result.name;
+    return true;
+}
+
+/**
+ * Restores the full name as the sender name of a message that stores a nickname.
+ * @param {number} messageIndex - Index of the message in the chat
+ * @returns {boolean} Whether the message was changed
+ */
+export function restoreMessageName(messageIndex) {
+    const message = getContext().chat[messageIndex];
+    const original = message?.extra?.[ORIGINAL_NAME_EXTRA_KEY];
+    if (original === undefined) return false;
+
+    message.name = original;
+    delete message.extra[ORIGINAL_NAME_EXTRA_KEY];
+    return true;
+}
+
+/**
+ * Counts the messages of the open chat that store a nickname as their sender name.
+ * @returns {number}
+ */
+export function countWrittenMessages() {
+    return getContext().chat.filter(message => message?.extra?.[ORIGINAL_NAME_EXTRA_KEY] !== undefined).length;
+}
+
+/**
+ * Writes the nicknames into all messages of the open chat, or restores all full names.
+ * The chat is saved and re-rendered afterwards.
+ * @param {object} [options={}]
+ * @param {boolean} [options.restore=false] - Restore the full names instead of writing the nicknames
+ * @returns {Promise<number>} Number of changed messages
+ */
+export async function convertChatMessageNames({ restore = false } = {}) {
+    let changed = 0;
+    for (let i = 0; i < getContext().chat.length; i++) {
+        if (restore ? restoreMessageName(i) : writeNicknameToMessage(i)) changed++;
+    }
+    if (changed) {
+        await saveChatConditional();
+        await reloadCurrentChat();
+    }
+    return changed;
+}
+
+/**
+ * Asks whether the messages of the open chat should be converted along with a changed write-through setting.
+ * Nothing is rewritten without confirmation - declining only affects new messages.
+ * @param {boolean} enabled - The new value of the write-through setting
+ */
+export async function confirmChatConversion(enabled) {
+    const context = getContext();
+    if (!context.chatId || !context.chat.length) return;
+
+    if (!enabled && !countWrittenMessages()) return;
+    const confirmed = enabled
+        ? await Popup.show.confirm(
+            t`Store Nicknames in Messages`,
+            t`Nicknames are now stored as the sender name of new messages. Also store them in the existing messages of this chat?`,
+            { okButton: t`Convert this chat`, cancelButton: t`Only new messages` },
+        )
+        : await Popup.show.confirm(
+            t`Store Nicknames in Messages`,
+            t`New messages keep their full sender name again. Also restore the full names in the existing messages of this chat?`,
+            { okButton: t`Restore this chat`, cancelButton: t`Keep nicknames` },
+        );
+    if (!confirmed) return;
+
+    const changed = await convertChatMessageNames({ restore: !enabled });
+    toastr.info(enabled ? t`Stored nicknames in ${changed} messages` : t`Restored full names in ${changed} messages`, t`Nicknames`);
+}
+
+/**
+ * Updates the displayed sender name of a rendered message to its stored name.
+ * @param {number} messageIndex
+ */
+function updateMessageElementName(messageIndex) {
+    const mesEl = /** @type {HTMLElement|null} */ (document.querySelector(`#chat .mes[mesid="${messageIndex}"]`));
+    const name = getContext().chat[messageIndex]?.name;
+    if (!mesEl || !name) return;
+
+    mesEl.setAttribute('ch_name', name);
+    // A nickname shown by the chat messages setting now restores to the stored name
+    if (mesEl.dataset.nicknameOriginalName !== undefined) {
+        mesEl.dataset.nicknameOriginalName = name;
+    } else {
+        $(mesEl).find('.ch_name .name_text').text(name);
+    }
+}
+
+/**
+ * Writes the nickname into a new message, if write-through is enabled.
+ * @param {number} messageIndex
+ */
+function onMessageCreated(messageIndex) {
+    if (!nicknameSettings.writeToMessages || !writeNicknameToMessage(messageIndex)) return;
+
+    // Streamed messages are rendered before they are received
+    updateMessageElementName(messageIndex);
+    saveChatDebounced();
+}
+
+/**
+ * Registers the write-through hooks.
+ * They are always registered, and check the setting for every new message.
+ */
+export function registerWriteThrough() {
+    eventSource.on(event_types.MESSAGE_SENT, onMessageCreated);
+    eventSource.on(event_types.MESSAGE_RECEIVED, onMessageCreated);
+}